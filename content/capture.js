@@ -0,0 +1,42 @@
+// Registered by sw.js (passive capture). Watches an open right.codes dashboard and asks the service worker to
+// re-read it after the page settles. The extraction itself runs in sw.js, so validation stays in one place.
+(() => {
+  const DEBOUNCE_MS = 2_000;
+  const MIN_GAP_MS = 15_000;
+
+  let timer = null;
+  let lastSentAt = 0;
+
+  function isDashboard() {
+    return String(location.pathname || "").startsWith("/dashboard");
+  }
+
+  function stop() {
+    observer.disconnect();
+    clearTimeout(timer);
+  }
+
+  function send() {
+    timer = null;
+    if (!isDashboard()) return;
+    // The extension was reloaded or removed: this script is orphaned.
+    if (!chrome.runtime?.id) {
+      stop();
+      return;
+    }
+    lastSentAt = Date.now();
+    chrome.runtime.sendMessage({ type: "rcdm_passive_capture" }).catch(() => {
+      // service worker unavailable, try again on the next change
+    });
+  }
+
+  function schedule() {
+    if (timer) clearTimeout(timer);
+    const wait = Math.max(DEBOUNCE_MS, lastSentAt + MIN_GAP_MS - Date.now());
+    timer = setTimeout(send, wait);
+  }
+
+  const observer = new MutationObserver(schedule);
+  observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+  schedule();
+})();
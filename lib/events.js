@@ -0,0 +1,68 @@
+import { numberOrNull, subscriptionKey } from "./subscriptions.js";
+
+// Account events: what changed between two consecutive snapshots (top-ups, renewals, resets landing, plans
+// appearing or going away). Detection is pure; sw.js runs it whenever a snapshot is saved and keeps the feed.
+
+export const EVENTS_KEY = "rcdm_events";
+export const EVENTS_MAX = 200;
+
+const EPSILON = 1e-9;
+
+function subscriptionsByKey(data) {
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+  return new Map(subs.map((sub) => [subscriptionKey(sub), sub]));
+}
+
+// A reset shows up as the remaining quota going from below the total back up to it.
+function quotaWasReset(before, after) {
+  const total = numberOrNull(after?.quota?.total);
+  const from = numberOrNull(before?.quota?.remaining);
+  const to = numberOrNull(after?.quota?.remaining);
+  if (total == null || from == null || to == null) return false;
+  return from < total - EPSILON && to >= total - EPSILON;
+}
+
+// Events are stamped with the newer snapshot's time; `since` is the older one, so each event is known to have
+// happened somewhere in between. Without a previous snapshot there is nothing to compare and no events.
+export function detectAccountEvents(prev, next) {
+  if (!prev || !next) return [];
+  const at = next.fetchedAt || new Date().toISOString();
+  const since = prev.fetchedAt || null;
+  const events = [];
+  const push = (type, sub, from, to) =>
+    events.push({
+      id: crypto.randomUUID(),
+      at,
+      since,
+      type,
+      key: sub ? subscriptionKey(sub) : null,
+      name: sub ? sub.name || null : null,
+      from: from ?? null,
+      to: to ?? null
+    });
+
+  const balanceFrom = numberOrNull(prev.balance?.amount);
+  const balanceTo = numberOrNull(next.balance?.amount);
+  if (balanceFrom != null && balanceTo != null && balanceTo > balanceFrom + EPSILON) {
+    push("recharge", null, balanceFrom, balanceTo);
+  }
+
+  const before = subscriptionsByKey(prev);
+  const after = subscriptionsByKey(next);
+  for (const [key, sub] of after) {
+    const old = before.get(key);
+    if (!old) {
+      push("subscription_added", sub, null, sub.expiresAt);
+      continue;
+    }
+    if (old.expiresAt && sub.expiresAt && old.expiresAt !== sub.expiresAt) push("renewed", sub, old.expiresAt, sub.expiresAt);
+    if (old.resetStatus && sub.resetStatus && old.resetStatus !== sub.resetStatus) {
+      push("reset_status", sub, old.resetStatus, sub.resetStatus);
+    }
+    if (quotaWasReset(old, sub)) push("quota_reset", sub, old.quota.remaining, sub.quota.remaining);
+  }
+  for (const [key, sub] of before) {
+    if (!after.has(key)) push("subscription_removed", sub, sub.expiresAt, null);
+  }
+  return events;
+}
@@ -0,0 +1,96 @@
+import { pointValues, totalsValues } from "./metrics.js";
+import { numberOrNull, subscriptionKey } from "./subscriptions.js";
+
+// Versioned API for other extensions and local tools; the wire format is documented in docs/external-api.md.
+// The manifest's externally_connectable only decides who may send at all. The user's allowlist
+// (prefs.externalApi) decides who gets an answer.
+
+export const EXTERNAL_API_VERSION = 1;
+export const EXTERNAL_SUBSCRIBE_PORT = "rcdm_subscribe";
+export const EXTERNAL_HISTORY_DEFAULT_LIMIT = 500;
+export const EXTERNAL_HISTORY_MAX_LIMIT = 2_000;
+
+// Web pages can only reach the extension from the hosts listed in manifest.json's externally_connectable.matches.
+const LOCAL_ORIGIN_RE = /^http:\/\/(localhost|127\.0\.0\.1)(:\d{1,5})?$/;
+const EXTENSION_ID_RE = /^[a-p]{32}$/;
+
+export function isExtensionId(value) {
+  return typeof value === "string" && EXTENSION_ID_RE.test(value);
+}
+
+export function isLocalOrigin(value) {
+  return typeof value === "string" && LOCAL_ORIGIN_RE.test(value);
+}
+
+// Messages from a page carry its origin. Messages from another extension carry its id.
+function senderOrigin(sender) {
+  const origin = sender?.origin || (sender?.url ? new URL(sender.url).origin : "");
+  return /^https?:/.test(origin) ? origin : null;
+}
+
+export function isSenderAllowed(settings, sender) {
+  if (!settings?.enabled) return false;
+  const origin = senderOrigin(sender);
+  if (origin) return settings.allowedOrigins.includes(origin);
+  return Boolean(sender?.id) && settings.allowedIds.includes(sender.id);
+}
+
+export function externalError(code, detail) {
+  return { ok: false, api: EXTERNAL_API_VERSION, error: detail == null ? { code } : { code, detail: String(detail) } };
+}
+
+// Snapshot schema v1. Fields are only added within a version. Removing or renaming one bumps EXTERNAL_API_VERSION.
+export function toExternalSnapshot({ data, authState = null, lastError = null, forecast = null }) {
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+  const values = data?.totalsValues || totalsValues(data?.totals);
+  return {
+    fetchedAt: data?.fetchedAt || null,
+    strategy: data?.strategy || null,
+    stale: Boolean(data?.staleSince || authState),
+    signedOut: Boolean(authState),
+    balance: data?.balance ? { amount: numberOrNull(data.balance.amount), raw: data.balance.raw || null } : null,
+    totals: {
+      requests: numberOrNull(values.requests),
+      tokens: numberOrNull(values.tokens),
+      cost: numberOrNull(values.cost)
+    },
+    subscriptions: subs.map((s) => {
+      const key = subscriptionKey(s);
+      const fc = forecast?.subs?.[key];
+      return {
+        key,
+        name: s.name || null,
+        remaining: numberOrNull(s.quota?.remaining),
+        total: numberOrNull(s.quota?.total),
+        usedPercent: numberOrNull(s.usedPercent),
+        remainingDays: numberOrNull(s.remainingDays),
+        expiresAt: s.expiresAt || null,
+        endpoints: Array.isArray(s.endpoints) ? s.endpoints.map((e) => e?.title).filter(Boolean) : [],
+        resetPending: typeof s.resetPending === "boolean" ? s.resetPending : null,
+        nextResetAt: fc?.nextResetAt ? new Date(fc.nextResetAt).toISOString() : null,
+        depletionAt: fc?.depletionAt ? new Date(fc.depletionAt).toISOString() : null
+      };
+    }),
+    lastError: lastError ? { at: lastError.at || null, code: lastError.code || "error" } : null
+  };
+}
+
+export function toExternalHistoryPoint(point) {
+  const values = pointValues(point);
+  return {
+    t: point.t,
+    balance: numberOrNull(point.balance),
+    totals: {
+      requests: numberOrNull(values.requests),
+      tokens: numberOrNull(values.tokens),
+      cost: numberOrNull(values.cost)
+    },
+    subscriptions: (point.subs || []).map((s) => ({
+      key: s.key,
+      name: s.name,
+      remaining: numberOrNull(s.remaining),
+      total: numberOrNull(s.total),
+      usedPercent: numberOrNull(s.usedPercent)
+    }))
+  };
+}
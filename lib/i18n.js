@@ -0,0 +1,52 @@
+// Message lookup for the UI, the service worker and notifications.
+// chrome.i18n always follows the browser language, so when the user picks another language in the options we load
+// that locale's messages.json ourselves and format it with the same placeholder rules.
+
+export const LANGUAGES = ["auto", "zh_CN", "en"];
+
+let overrideMessages = null;
+let activeLanguage = "auto";
+
+export async function setLanguage(language) {
+  const wanted = LANGUAGES.includes(language) ? language : "auto";
+  if (wanted === activeLanguage) return;
+
+  if (wanted === "auto") {
+    overrideMessages = null;
+    activeLanguage = "auto";
+    return;
+  }
+
+  try {
+    const res = await fetch(chrome.runtime.getURL(`_locales/${wanted}/messages.json`));
+    overrideMessages = await res.json();
+    activeLanguage = wanted;
+  } catch {
+    overrideMessages = null;
+    activeLanguage = "auto";
+  }
+}
+
+function toSubstitutions(substitutions) {
+  if (substitutions == null) return [];
+  return (Array.isArray(substitutions) ? substitutions : [substitutions]).map((s) => String(s ?? ""));
+}
+
+// Same expansion as chrome.i18n: $NAME$ -> placeholder content, then $1..$9 -> substitutions, $$ -> $.
+function formatMessage(entry, substitutions) {
+  const subs = toSubstitutions(substitutions);
+  return String(entry.message ?? "")
+    .replace(/\$([a-z0-9_@]+)\$/gi, (m, name) => entry.placeholders?.[name.toLowerCase()]?.content ?? m)
+    .replace(/\$(\$|[1-9])/g, (_m, token) => (token === "$" ? "$" : (subs[Number(token) - 1] ?? "")));
+}
+
+export function t(key, substitutions) {
+  const entry = overrideMessages?.[key];
+  if (entry) return formatMessage(entry, substitutions);
+  return chrome.i18n.getMessage(key, toSubstitutions(substitutions)) || key;
+}
+
+// Locale tag for Intl formatters, matching whichever catalog is in use.
+export function intlLocale() {
+  return t("intlLocale");
+}
@@ -0,0 +1,98 @@
+import { subscriptionKey } from "./subscriptions.js";
+
+// Numeric view of the dashboard's lifetime totals and the deltas derived from them.
+// The scraper stores totals as the page shows them ("1.2M", "$3,456.78"), keyed by the site's Chinese label.
+
+export const TOTAL_METRICS = [
+  { id: "requests", key: "累计请求" },
+  { id: "tokens", key: "累计 Token" },
+  { id: "cost", key: "累计花费" }
+];
+
+const SUFFIX_MULTIPLIERS = {
+  k: 1e3,
+  m: 1e6,
+  b: 1e9,
+  万: 1e4,
+  亿: 1e8
+};
+
+// "1,234" -> 1234, "$3,456.78" -> 3456.78, "1.2M" -> 1200000, "3.5 万" -> 35000; anything else -> null.
+export function parseDisplayNumber(raw) {
+  if (typeof raw === "number") return Number.isFinite(raw) ? raw : null;
+  const text = String(raw ?? "")
+    .trim()
+    .replace(/^[$¥￥€£]\s*/, "")
+    .replace(/,/g, "");
+  const m = text.match(/^(-?\d+(?:\.\d+)?)\s*([kmb万亿])?$/i);
+  if (!m) return null;
+  const n = Number(m[1]) * (m[2] ? SUFFIX_MULTIPLIERS[m[2].toLowerCase()] : 1);
+  return Number.isFinite(n) ? n : null;
+}
+
+// { requests, tokens, cost } with null for anything missing or unparsable.
+export function totalsValues(totals) {
+  const values = {};
+  for (const metric of TOTAL_METRICS) values[metric.id] = parseDisplayNumber(totals?.[metric.key]);
+  return values;
+}
+
+// History points written before totals were parsed only carry the display strings.
+export function pointValues(point) {
+  return point?.values || totalsValues(point?.totals);
+}
+
+function subtract(current, baseline) {
+  const delta = {};
+  for (const { id } of TOTAL_METRICS) {
+    const a = current?.[id];
+    const b = baseline?.[id];
+    // Lifetime totals only grow; a drop means the counter was reset or misread, so there is no usable delta.
+    delta[id] = typeof a === "number" && typeof b === "number" && a >= b ? a - b : null;
+  }
+  return delta;
+}
+
+// Deltas of `current` (taken at `currentMs`) against the previous snapshot and against the end of the previous day.
+// `dayStartMs` is the start of the current day in whichever zone the caller displays.
+export function totalsDeltas({ history, current, currentMs, dayStartMs }) {
+  const earlier = history.filter((p) => p.t < currentMs);
+
+  const previous = earlier[earlier.length - 1] || null;
+  // The last reading before today is the best baseline; failing that, the first one today.
+  const beforeToday = earlier.filter((p) => p.t < dayStartMs);
+  const dayBaseline = beforeToday[beforeToday.length - 1] || earlier.find((p) => p.t >= dayStartMs) || null;
+
+  return {
+    sinceLast: previous ? { ...subtract(current, pointValues(previous)), spanMs: currentMs - previous.t } : null,
+    today: dayBaseline ? subtract(current, pointValues(dayBaseline)) : null
+  };
+}
+
+// Average cost per request and per 1K tokens for a set of totals or deltas.
+export function costRatios(values) {
+  const { requests, tokens, cost } = values || {};
+  return {
+    costPerRequest: typeof cost === "number" && requests > 0 ? cost / requests : null,
+    costPer1kTokens: typeof cost === "number" && tokens > 0 ? (cost / tokens) * 1000 : null
+  };
+}
+
+// Balance and per-subscription remaining quota against the previous history point: unlike the lifetime totals
+// these go down with use and back up on a top-up or reset, so the change is signed. Null without a previous point.
+export function quotaDeltas({ history, data, currentMs }) {
+  const earlier = history.filter((p) => p.t < currentMs);
+  const previous = earlier[earlier.length - 1] || null;
+  if (!previous) return null;
+  const change = (a, b) => (typeof a === "number" && typeof b === "number" ? a - b : null);
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+  return {
+    spanMs: currentMs - previous.t,
+    balance: change(data?.balance?.amount, previous.balance),
+    subs: subs.map((sub) => {
+      const key = subscriptionKey(sub);
+      const before = previous.subs?.find((s) => s.key === key);
+      return { key, name: sub.name || null, remaining: change(sub.quota?.remaining, before?.remaining) };
+    })
+  };
+}
@@ -0,0 +1,10 @@
+// Dotted paths ("data.items.0.name") into parsed JSON. Used for the extraction schema's api section and for
+// webhook body placeholders.
+
+// Undefined when any step is missing; an empty path returns the value itself.
+export function readPath(obj, path) {
+  return String(path || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
@@ -0,0 +1,181 @@
+import { isExtensionId, isLocalOrigin } from "./external-api.js";
+import { LANGUAGES } from "./i18n.js";
+import { RESET_GRACE_MINUTES_MAX, RESET_GRACE_MINUTES_MIN } from "./resets.js";
+import { DEFAULT_RESET_SCHEDULE, isValidTimeZone, parseClockMinutes } from "./time.js";
+
+// User preferences, shared by the service worker, the popup/side panel and the options page.
+// Stored in chrome.storage.sync so they follow the user across browsers.
+
+export const PREFS_KEY = "rcdm_prefs";
+
+export const DEFAULT_PREFS = {
+  autoRefresh: false,
+  autoRefreshExplicit: false,
+  refreshMinutes: 5,
+  closeTempTab: true,
+  badgeSource: "auto",
+  passiveCapture: false,
+  // When scraping finds nothing, record which selectors and labels matched (never any values) in the refresh log.
+  captureDiagnostics: false,
+  refreshStrategy: "tab",
+  scheduleMode: "fixed",
+  language: "auto",
+  displayTimeZone: "auto",
+  resetSchedule: DEFAULT_RESET_SCHEDULE,
+  // subscription key -> { timeZone?, time? }; missing fields inherit resetSchedule.
+  subscriptionResets: {},
+  // A dedicated refresh this long after each reset, to confirm the reset actually landed (see lib/resets.js).
+  resetCheck: {
+    enabled: false,
+    graceMinutes: 30
+  },
+  notifyRules: {
+    enabled: false,
+    quotaBelowAmount: null,
+    quotaBelowPercent: null,
+    remainingDaysBelow: null,
+    balanceBelow: null,
+    resetPending: false
+  },
+  // Who may use the external messaging API (see docs/external-api.md). Nobody until the user opts in.
+  externalApi: {
+    enabled: false,
+    allowedIds: [],
+    allowedOrigins: []
+  }
+};
+
+export const REFRESH_MINUTES_MIN = 1;
+export const REFRESH_MINUTES_MAX = 24 * 60;
+export const REFRESH_STRATEGIES = ["tab", "api"];
+export const SCHEDULE_MODES = ["fixed", "adaptive"];
+const EXTERNAL_ALLOWLIST_MAX = 50;
+
+export const NOTIFY_RULE_LIMITS = {
+  quotaBelowAmount: 100_000,
+  quotaBelowPercent: 100,
+  remainingDaysBelow: 3650,
+  balanceBelow: 100_000
+};
+
+function withDefaults(stored) {
+  const prefs = { ...DEFAULT_PREFS, ...(stored || {}) };
+  prefs.notifyRules = { ...DEFAULT_PREFS.notifyRules, ...(prefs.notifyRules || {}) };
+  prefs.resetSchedule = { ...DEFAULT_PREFS.resetSchedule, ...(prefs.resetSchedule || {}) };
+  prefs.resetCheck = { ...DEFAULT_PREFS.resetCheck, ...(prefs.resetCheck || {}) };
+  prefs.externalApi = { ...DEFAULT_PREFS.externalApi, ...(prefs.externalApi || {}) };
+  return prefs;
+}
+
+// Returns { ok, prefs, errors } where `errors` maps a field name (dotted for nested rules) to an error code.
+// Invalid fields keep their default in `prefs`, so the result is always safe to use.
+export function validatePrefs(input) {
+  const source = withDefaults(input);
+  const prefs = withDefaults(null);
+  const errors = {};
+
+  for (const key of ["autoRefresh", "autoRefreshExplicit", "closeTempTab", "passiveCapture", "captureDiagnostics"]) {
+    if (typeof source[key] === "boolean") prefs[key] = source[key];
+    else errors[key] = "invalid_boolean";
+  }
+
+  const minutes = Number(source.refreshMinutes);
+  if (Number.isInteger(minutes) && minutes >= REFRESH_MINUTES_MIN && minutes <= REFRESH_MINUTES_MAX) {
+    prefs.refreshMinutes = minutes;
+  } else {
+    errors.refreshMinutes = "out_of_range";
+  }
+
+  if (REFRESH_STRATEGIES.includes(source.refreshStrategy)) prefs.refreshStrategy = source.refreshStrategy;
+  else errors.refreshStrategy = "invalid_option";
+
+  if (SCHEDULE_MODES.includes(source.scheduleMode)) prefs.scheduleMode = source.scheduleMode;
+  else errors.scheduleMode = "invalid_option";
+
+  if (LANGUAGES.includes(source.language)) prefs.language = source.language;
+  else errors.language = "invalid_option";
+
+  const displayZone = source.displayTimeZone;
+  if (displayZone === "auto" || isValidTimeZone(displayZone)) prefs.displayTimeZone = displayZone;
+  else errors.displayTimeZone = "invalid_timezone";
+
+  if (isValidTimeZone(source.resetSchedule.timeZone)) prefs.resetSchedule.timeZone = source.resetSchedule.timeZone;
+  else errors["resetSchedule.timeZone"] = "invalid_timezone";
+  if (parseClockMinutes(source.resetSchedule.time) != null) prefs.resetSchedule.time = source.resetSchedule.time;
+  else errors["resetSchedule.time"] = "invalid_time";
+
+  const overrides = source.subscriptionResets;
+  prefs.subscriptionResets = {};
+  if (overrides && typeof overrides === "object" && !Array.isArray(overrides)) {
+    for (const [key, entry] of Object.entries(overrides)) {
+      const timeZone = entry?.timeZone || null;
+      const time = entry?.time || null;
+      if (timeZone && !isValidTimeZone(timeZone)) errors[`subscriptionResets.${key}`] = "invalid_timezone";
+      else if (time && parseClockMinutes(time) == null) errors[`subscriptionResets.${key}`] = "invalid_time";
+      else if (timeZone || time) prefs.subscriptionResets[key] = { ...(timeZone ? { timeZone } : {}), ...(time ? { time } : {}) };
+    }
+  } else {
+    errors.subscriptionResets = "invalid_option";
+  }
+
+  const check = source.resetCheck;
+  if (typeof check.enabled === "boolean") prefs.resetCheck.enabled = check.enabled;
+  else errors["resetCheck.enabled"] = "invalid_boolean";
+  const grace = Number(check.graceMinutes);
+  if (Number.isInteger(grace) && grace >= RESET_GRACE_MINUTES_MIN && grace <= RESET_GRACE_MINUTES_MAX) {
+    prefs.resetCheck.graceMinutes = grace;
+  } else {
+    errors["resetCheck.graceMinutes"] = "out_of_range";
+  }
+
+  const badge = String(source.badgeSource || "");
+  if (badge === "auto" || badge === "balance" || (badge.startsWith("sub:") && badge.length > 4)) prefs.badgeSource = badge;
+  else errors.badgeSource = "invalid_option";
+
+  const rules = source.notifyRules;
+  if (typeof rules.enabled === "boolean") prefs.notifyRules.enabled = rules.enabled;
+  else errors["notifyRules.enabled"] = "invalid_boolean";
+  if (typeof rules.resetPending === "boolean") prefs.notifyRules.resetPending = rules.resetPending;
+  else errors["notifyRules.resetPending"] = "invalid_boolean";
+
+  for (const [key, max] of Object.entries(NOTIFY_RULE_LIMITS)) {
+    const value = rules[key];
+    if (value == null) continue;
+    if (typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= max) prefs.notifyRules[key] = value;
+    else errors[`notifyRules.${key}`] = "out_of_range";
+  }
+
+  const external = source.externalApi;
+  if (typeof external.enabled === "boolean") prefs.externalApi.enabled = external.enabled;
+  else errors["externalApi.enabled"] = "invalid_boolean";
+  for (const [key, isValid, code] of [
+    ["allowedIds", isExtensionId, "invalid_extension_id"],
+    ["allowedOrigins", isLocalOrigin, "invalid_origin"]
+  ]) {
+    const list = external[key];
+    if (!Array.isArray(list) || list.length > EXTERNAL_ALLOWLIST_MAX) errors[`externalApi.${key}`] = "out_of_range";
+    else if (!list.every(isValid)) errors[`externalApi.${key}`] = code;
+    else prefs.externalApi[key] = Array.from(new Set(list));
+  }
+
+  return { ok: Object.keys(errors).length === 0, prefs, errors };
+}
+
+export async function getPrefs() {
+  const stored = await chrome.storage.sync.get({ [PREFS_KEY]: DEFAULT_PREFS });
+  const prefs = validatePrefs(stored[PREFS_KEY]).prefs;
+  // Auto refresh is OFF unless user explicitly enabled it (migration-friendly).
+  if (!prefs.autoRefreshExplicit) prefs.autoRefresh = false;
+  return prefs;
+}
+
+export async function setPrefs(partial) {
+  const prefs = await getPrefs();
+  const checked = validatePrefs({ ...prefs, ...partial });
+  if (checked.ok) await chrome.storage.sync.set({ [PREFS_KEY]: checked.prefs });
+  return checked;
+}
+
+export async function resetPrefs() {
+  await chrome.storage.sync.set({ [PREFS_KEY]: DEFAULT_PREFS });
+}
@@ -0,0 +1,129 @@
+import { isResetPending, numberOrNull, subscriptionKey } from "./subscriptions.js";
+import { dateKey, resetScheduleFor, resetWindow } from "./time.js";
+
+// Daily reset verification. Once a subscription's reset time plus the grace period has passed, the next snapshot
+// shows whether the reset landed: the status no longer says "not reset" and the quota went back up. Each
+// subscription gets one record per reset day. sw.js schedules the checks and stores the records.
+
+export const RESET_CHECKS_KEY = "rcdm_reset_checks";
+export const RESET_CHECKS_MAX = 400;
+export const RESET_GRACE_MINUTES_MIN = 5;
+export const RESET_GRACE_MINUTES_MAX = 12 * 60;
+
+const MINUTE_MS = 60_000;
+const EPSILON = 1e-9;
+
+// What was left at the last snapshot before the reset (history keeps each period's last value), and the most that
+// was left at any snapshot since: spending right after the reset must not hide that the quota went back up.
+function remainingAround(history, key, resetMs) {
+  let before = null;
+  let peak = null;
+  for (const point of history) {
+    const value = point.subs?.find((s) => s.key === key)?.remaining;
+    if (typeof value !== "number") continue;
+    if (point.t < resetMs) before = value;
+    else peak = Math.max(peak ?? value, value);
+  }
+  return { before, peak };
+}
+
+// Each signal is true or false, or null when the snapshot cannot tell.
+function resetSignals(sub, before, peak) {
+  const status = typeof sub.resetPending === "boolean" || sub.resetStatus ? !isResetPending(sub) : null;
+
+  const remaining = numberOrNull(sub.quota?.remaining);
+  const total = numberOrNull(sub.quota?.total);
+  const highest = remaining == null ? peak : Math.max(peak ?? remaining, remaining);
+  let quota = null;
+  if (highest != null && total != null && highest >= total - EPSILON) quota = true;
+  else if (highest != null && before != null) quota = highest > before + EPSILON;
+  return { status, quota };
+}
+
+function recordId(day, key) {
+  return `${day}|${key}`;
+}
+
+// Judges the snapshot against each subscription's most recent reset. Returns the updated record list (newest
+// first) and the records this snapshot created or changed; a snapshot taken inside the grace period changes nothing.
+// Outcomes: on_time (confirmed by the first check after the grace period), late (missed at first, confirmed later
+// the same day), missed (not confirmed yet) and unknown (no status or quota to judge by).
+export function evaluateResets({ data, history = [], checks = [], prefs }) {
+  const fetchedMs = Date.parse(data?.fetchedAt);
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+  const graceMs = prefs.resetCheck.graceMinutes * MINUTE_MS;
+  const byId = new Map(checks.map((record) => [record.id, record]));
+  const updated = [];
+  if (!Number.isFinite(fetchedMs)) return { checks, updated };
+
+  for (const sub of subs) {
+    const key = subscriptionKey(sub);
+    const period = resetWindow(resetScheduleFor(prefs, key), fetchedMs);
+    if (fetchedMs < period.previousMs + graceMs) continue;
+
+    const day = dateKey(period.previousMs, period.timeZone);
+    const id = recordId(day, key);
+    const record = byId.get(id);
+    if (record && record.outcome !== "missed") continue;
+
+    const { before, peak } = remainingAround(history, key, period.previousMs);
+    const baseline = record ? record.baseline : before;
+    const { status, quota } = resetSignals(sub, baseline, peak);
+    const signals = [status, quota];
+    let outcome = "unknown";
+    if (signals.includes(false)) outcome = "missed";
+    else if (signals.includes(true)) outcome = record ? "late" : "on_time";
+    if (record && outcome === "unknown") continue;
+
+    const checkedAt = new Date(fetchedMs).toISOString();
+    const next = {
+      id,
+      day,
+      key,
+      name: sub.name || null,
+      resetAt: new Date(period.previousMs).toISOString(),
+      checkedAt: record?.checkedAt || checkedAt,
+      lastCheckedAt: checkedAt,
+      confirmedAt: outcome === "on_time" || outcome === "late" ? checkedAt : null,
+      outcome,
+      resetStatus: sub.resetStatus || null,
+      remaining: numberOrNull(sub.quota?.remaining),
+      baseline
+    };
+    byId.set(id, next);
+    updated.push(next);
+  }
+
+  if (!updated.length) return { checks, updated };
+  const sorted = Array.from(byId.values()).sort((a, b) => Date.parse(b.resetAt) - Date.parse(a.resetAt));
+  return { checks: sorted.slice(0, RESET_CHECKS_MAX), updated };
+}
+
+// When the next snapshot is needed: right after the grace period if today's reset is still unchecked, one grace
+// period after the last look while it is missed, otherwise after the next reset. Null with nothing to check.
+export function nextResetCheckAt({ data, checks = [], prefs, nowMs = Date.now() }) {
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+  const graceMs = prefs.resetCheck.graceMinutes * MINUTE_MS;
+  const byId = new Map(checks.map((record) => [record.id, record]));
+  let at = null;
+
+  for (const sub of subs) {
+    const key = subscriptionKey(sub);
+    const period = resetWindow(resetScheduleFor(prefs, key), nowMs);
+    const record = byId.get(recordId(dateKey(period.previousMs, period.timeZone), key));
+    let checkAt = period.nextMs + graceMs;
+    if (!record) checkAt = period.previousMs + graceMs;
+    else if (record.outcome === "missed") checkAt = Math.min(checkAt, Date.parse(record.lastCheckedAt) + graceMs);
+    if (at == null || checkAt < at) at = checkAt;
+  }
+  return at;
+}
+
+// The current period's missed records, for flagging in the UI.
+export function missedResets(checks, prefs, nowMs = Date.now()) {
+  return checks.filter((record) => {
+    if (record.outcome !== "missed") return false;
+    const period = resetWindow(resetScheduleFor(prefs, record.key), nowMs);
+    return record.day === dateKey(period.previousMs, period.timeZone);
+  });
+}
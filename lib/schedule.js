@@ -0,0 +1,50 @@
+import { t } from "./i18n.js";
+
+// The service worker stores its auto-refresh plan here (chrome.storage.session) so the popup and the options
+// page can say when the next refresh happens and why.
+
+export const SCHEDULE_PLAN_KEY = "rcdm_schedule_plan";
+
+const REASON_MESSAGES = {
+  fixed: "scheduleReasonFixed",
+  normal: "scheduleReasonNormal",
+  near_depletion: "scheduleReasonNearDepletion",
+  flat: "scheduleReasonFlat",
+  post_reset: "scheduleReasonPostReset",
+  backoff: "scheduleReasonBackoff"
+};
+
+const PAUSED_MESSAGES = {
+  idle: "schedulePausedIdle",
+  locked: "schedulePausedLocked",
+  logged_out: "schedulePausedLoggedOut"
+};
+
+export async function getSchedulePlan() {
+  const stored = await chrome.storage.session.get({ [SCHEDULE_PLAN_KEY]: null });
+  return stored[SCHEDULE_PLAN_KEY];
+}
+
+export function formatDuration(ms) {
+  const minutes = Math.round(Math.max(0, ms) / 60_000);
+  if (minutes < 1) return t("durationUnderMinute");
+  if (minutes < 60) return t("durationMinutes", minutes);
+  return t("durationHours", [Math.floor(minutes / 60), minutes % 60]);
+}
+
+function reasonText(plan) {
+  if (plan.reason === "fixed") return t("scheduleReasonFixed", plan.minutes);
+  if (plan.reason === "normal") return t("scheduleReasonNormal", formatDuration(plan.intervalMs));
+  if (plan.reason === "near_depletion") {
+    return plan.subject ? t("scheduleReasonNearDepletion", plan.subject) : t("scheduleReasonNearDepletionAny");
+  }
+  return t(REASON_MESSAGES[plan.reason] || "scheduleReasonNormal");
+}
+
+// "Next refresh in 7m because …", a paused notice, or "" when auto refresh is off.
+export function describeSchedulePlan(plan, nowMs = Date.now()) {
+  if (!plan) return "";
+  if (PAUSED_MESSAGES[plan.reason]) return t(PAUSED_MESSAGES[plan.reason]);
+  if (!plan.at) return "";
+  return t("nextRefreshIn", [formatDuration(plan.at - nowMs), reasonText(plan)]);
+}
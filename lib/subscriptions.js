@@ -0,0 +1,18 @@
+// Helpers for the subscriptions in a stored snapshot, shared by the service worker, the UI and the modules that
+// compare snapshots.
+
+// Stable identity across snapshots: a renewed plan keeps its name and purchase time. History points, reset
+// schedules, reset checks and events are all keyed by it.
+export function subscriptionKey(sub) {
+  return `${sub?.name || "?"}|${sub?.acquiredAt || ""}`;
+}
+
+export function isResetPending(sub) {
+  if (typeof sub?.resetPending === "boolean") return sub.resetPending;
+  // Snapshots taken before the extractor reported `resetPending`.
+  return String(sub?.resetStatus || "").includes("未");
+}
+
+export function numberOrNull(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
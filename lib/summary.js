@@ -0,0 +1,95 @@
+import { intlLocale, t } from "./i18n.js";
+import { TOTAL_METRICS, costRatios, quotaDeltas, totalsDeltas, totalsValues } from "./metrics.js";
+import { formatDuration } from "./schedule.js";
+import { dateKey, dateKeyToMs, formatDateTime } from "./time.js";
+
+// The plain-text summary (popup "copy" button, the copy shortcut) and the totals analytics behind it.
+
+export const TOTAL_MESSAGES = {
+  requests: "totalRequests",
+  tokens: "totalTokens",
+  cost: "totalCost"
+};
+
+export function formatCount(n) {
+  if (n == null) return "—";
+  return new Intl.NumberFormat(intlLocale(), { notation: "compact", maximumFractionDigits: 1 }).format(n);
+}
+
+export function formatCost(n) {
+  if (n == null) return "—";
+  return `$${n.toFixed(n !== 0 && Math.abs(n) < 1 ? 4 : 2)}`;
+}
+
+export function formatDelta(id, n) {
+  if (n == null) return "—";
+  return `+${id === "cost" ? formatCost(n) : formatCount(n)}`;
+}
+
+// Signed money change, for values that go both ways (balance, remaining quota).
+export function formatCostChange(n) {
+  if (n == null) return "—";
+  return `${n < 0 ? "−" : "+"}${formatCost(Math.abs(n))}`;
+}
+
+// Numeric totals plus today's and since-last-refresh deltas; "today" is the calendar day in the display zone.
+export function totalsAnalytics(data, history) {
+  const current = data?.totalsValues || totalsValues(data?.totals);
+  const currentMs = Date.parse(data?.fetchedAt) || Date.now();
+  const deltas = totalsDeltas({ history, current, currentMs, dayStartMs: dateKeyToMs(dateKey(currentMs)) });
+  return {
+    current,
+    sinceLast: deltas.sinceLast,
+    today: deltas.today,
+    overallRatios: costRatios(current),
+    todayRatios: deltas.today ? costRatios(deltas.today) : null
+  };
+}
+
+export function buildSummaryText(payload, history = []) {
+  const lines = [];
+  if (payload?.balance?.raw) lines.push(t("summaryBalance", payload.balance.raw));
+  const totals = payload?.totals || {};
+  for (const metric of TOTAL_METRICS) {
+    if (totals[metric.key]) lines.push(`${t(TOTAL_MESSAGES[metric.id])}: ${totals[metric.key]}`);
+  }
+  const analytics = totalsAnalytics(payload, history);
+  if (analytics.today) {
+    lines.push(
+      t("summaryToday", TOTAL_METRICS.map((m) => formatDelta(m.id, analytics.today[m.id])))
+    );
+  }
+  if (analytics.sinceLast) {
+    lines.push(
+      t("summarySinceLast", [
+        ...TOTAL_METRICS.map((m) => formatDelta(m.id, analytics.sinceLast[m.id])),
+        formatDuration(analytics.sinceLast.spanMs)
+      ])
+    );
+  }
+  // Only what moved: unchanged balances and plans would bury the lines that matter.
+  const quota = quotaDeltas({ history, data: payload, currentMs: Date.parse(payload?.fetchedAt) || Date.now() });
+  const moved = (n) => n != null && Math.abs(n) > 1e-9;
+  if (moved(quota?.balance)) lines.push(t("summaryBalanceChange", formatCostChange(quota.balance)));
+  for (const sub of quota?.subs || []) {
+    if (moved(sub.remaining)) lines.push(t("summaryQuotaChange", [sub.name || "—", formatCostChange(sub.remaining)]));
+  }
+  if (analytics.overallRatios.costPerRequest != null) {
+    lines.push(
+      t("summaryCostPerRequest", [
+        formatCost(analytics.overallRatios.costPerRequest),
+        formatCost(analytics.todayRatios?.costPerRequest ?? null)
+      ])
+    );
+  }
+  if (analytics.overallRatios.costPer1kTokens != null) {
+    lines.push(
+      t("summaryCostPer1k", [
+        formatCost(analytics.overallRatios.costPer1kTokens),
+        formatCost(analytics.todayRatios?.costPer1kTokens ?? null)
+      ])
+    );
+  }
+  lines.push(t("summaryUpdatedAt", payload?.fetchedAt ? formatDateTime(payload.fetchedAt) : "—"));
+  return lines.join("\n");
+}
@@ -0,0 +1,171 @@
+import { intlLocale } from "./i18n.js";
+
+// Time zone helpers. Two separate clocks are involved:
+// - the display zone, used for every timestamp the user reads ("auto" follows the browser);
+// - the provider's reset schedule, a wall-clock time in a fixed zone (right.codes resets at 00:00 Beijing time).
+// Reset math goes through Intl, so zones with DST work too.
+
+export const DEFAULT_RESET_SCHEDULE = { timeZone: "Asia/Shanghai", time: "00:00" };
+
+const partsFormatters = new Map();
+
+let activeDisplayZone = "auto";
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function resolveTimeZone(timeZone) {
+  return timeZone && timeZone !== "auto" && isValidTimeZone(timeZone) ? timeZone : browserTimeZone();
+}
+
+export function supportedTimeZones() {
+  try {
+    return Intl.supportedValuesOf("timeZone");
+  } catch {
+    return [DEFAULT_RESET_SCHEDULE.timeZone, "UTC"];
+  }
+}
+
+export function setDisplayTimeZone(timeZone) {
+  activeDisplayZone = timeZone || "auto";
+}
+
+export function displayTimeZone() {
+  return resolveTimeZone(activeDisplayZone);
+}
+
+// "HH:MM" -> minutes after midnight, or null.
+export function parseClockMinutes(value) {
+  const m = String(value ?? "").match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function zonedParts(ms, timeZone) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    });
+    partsFormatters.set(timeZone, formatter);
+  }
+  const parts = {};
+  for (const p of formatter.formatToParts(new Date(ms))) parts[p.type] = Number(p.value);
+  return parts;
+}
+
+function zoneOffsetMs(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Wall-clock date + minutes in `timeZone` -> epoch ms. Day overflow (day + 1) is normalized by Date.UTC.
+export function zonedTimeToMs(year, month, day, minutes, timeZone) {
+  const wallMs = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = wallMs - zoneOffsetMs(wallMs, timeZone);
+  // A second pass settles times next to a DST switch.
+  return wallMs - zoneOffsetMs(guess, timeZone);
+}
+
+// "YYYY-MM-DD" of `ms` in `timeZone`, as used by <input type="date">.
+export function dateKey(ms, timeZone = displayTimeZone()) {
+  const p = zonedParts(ms, timeZone);
+  const pad2 = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+}
+
+// Start of a "YYYY-MM-DD" day in `timeZone`, or null if the value is malformed.
+export function dateKeyToMs(value, timeZone = displayTimeZone()) {
+  const m = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? zonedTimeToMs(Number(m[1]), Number(m[2]), Number(m[3]), 0, timeZone) : null;
+}
+
+// The reset that most recently happened and the next one, for a { timeZone, time } schedule.
+export function resetWindow(schedule, nowMs = Date.now()) {
+  const timeZone = isValidTimeZone(schedule?.timeZone) ? schedule.timeZone : DEFAULT_RESET_SCHEDULE.timeZone;
+  const minutes = parseClockMinutes(schedule?.time) ?? 0;
+  const today = zonedParts(nowMs, timeZone);
+  const todayResetMs = zonedTimeToMs(today.year, today.month, today.day, minutes, timeZone);
+
+  if (todayResetMs > nowMs) {
+    return {
+      previousMs: zonedTimeToMs(today.year, today.month, today.day - 1, minutes, timeZone),
+      nextMs: todayResetMs,
+      timeZone
+    };
+  }
+  return {
+    previousMs: todayResetMs,
+    nextMs: zonedTimeToMs(today.year, today.month, today.day + 1, minutes, timeZone),
+    timeZone
+  };
+}
+
+// Per-subscription override (keyed by subscription key) or the global schedule.
+export function resetScheduleFor(prefs, key) {
+  const base = prefs?.resetSchedule || DEFAULT_RESET_SCHEDULE;
+  const override = key != null ? prefs?.subscriptionResets?.[key] : null;
+  return {
+    timeZone: override?.timeZone || base.timeZone,
+    time: override?.time || base.time
+  };
+}
+
+export function isDefaultResetSchedule(prefs, key) {
+  const own = resetScheduleFor(prefs, key);
+  const base = resetScheduleFor(prefs, null);
+  return own.timeZone === base.timeZone && own.time === base.time;
+}
+
+function toDate(input) {
+  if (!input && input !== 0) return null;
+  const d = input instanceof Date ? input : new Date(input);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Full timestamp in the display zone, with the zone's short name so it is unambiguous.
+export function formatDateTime(input, timeZone = displayTimeZone()) {
+  const d = toDate(input);
+  if (!d) return input ? String(input) : "—";
+  return new Intl.DateTimeFormat(intlLocale(), {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    timeZoneName: "short"
+  }).format(d);
+}
+
+export function formatClock(input, timeZone = displayTimeZone()) {
+  const d = toDate(input);
+  if (!d) return "—";
+  return new Intl.DateTimeFormat(intlLocale(), {
+    timeZone,
+    hourCycle: "h23",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit"
+  }).format(d);
+}
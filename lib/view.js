@@ -0,0 +1,65 @@
+import { PREFS_KEY } from "./prefs.js";
+
+// How the popup and side panel are currently arranged: trend range, sort, endpoint filter, folded sections.
+// Kept in chrome.storage.local rather than with the prefs: changing the view is not a settings change, so it must
+// not reach the service worker's prefs listener (which re-arms the refresh alarm) or spend sync write quota.
+
+export const VIEW_STATE_KEY = "rcdm_view_state";
+
+export const DEFAULT_VIEW_STATE = {
+  historyRangeHours: 24,
+  subscriptionSort: "page",
+  // Endpoint title the subscription list is filtered to; "" shows every subscription.
+  endpointFilter: "",
+  // Side panel sections the user folded away (ids from PANEL_SECTIONS).
+  panelCollapsed: []
+};
+
+export const HISTORY_RANGE_HOURS = [6, 24, 72, 168];
+export const SUBSCRIPTION_SORTS = ["page", "expiry", "quota_desc", "quota_asc"];
+export const PANEL_SECTIONS = ["overview", "subscriptions", "charts", "resets", "events", "log", "export"];
+const ENDPOINT_FILTER_MAX_LENGTH = 200;
+
+// Same shape as validatePrefs: { ok, view, errors }. Invalid fields keep their default.
+export function validateViewState(input) {
+  const source = { ...DEFAULT_VIEW_STATE, ...(input || {}) };
+  const view = { ...DEFAULT_VIEW_STATE };
+  const errors = {};
+
+  if (HISTORY_RANGE_HOURS.includes(Number(source.historyRangeHours))) view.historyRangeHours = Number(source.historyRangeHours);
+  else errors.historyRangeHours = "invalid_option";
+
+  if (SUBSCRIPTION_SORTS.includes(source.subscriptionSort)) view.subscriptionSort = source.subscriptionSort;
+  else errors.subscriptionSort = "invalid_option";
+
+  if (typeof source.endpointFilter === "string" && source.endpointFilter.length <= ENDPOINT_FILTER_MAX_LENGTH) {
+    view.endpointFilter = source.endpointFilter;
+  } else {
+    errors.endpointFilter = "invalid_option";
+  }
+
+  const collapsed = source.panelCollapsed;
+  if (Array.isArray(collapsed) && collapsed.every((id) => PANEL_SECTIONS.includes(id))) {
+    view.panelCollapsed = Array.from(new Set(collapsed));
+  } else {
+    errors.panelCollapsed = "invalid_option";
+  }
+
+  return { ok: Object.keys(errors).length === 0, view, errors };
+}
+
+export async function getViewState() {
+  const stored = await chrome.storage.local.get({ [VIEW_STATE_KEY]: null });
+  if (stored[VIEW_STATE_KEY]) return validateViewState(stored[VIEW_STATE_KEY]).view;
+  // These fields used to live in the synced prefs; carry them over once.
+  const legacy = await chrome.storage.sync.get({ [PREFS_KEY]: null });
+  const { view } = validateViewState(legacy[PREFS_KEY]);
+  await chrome.storage.local.set({ [VIEW_STATE_KEY]: view });
+  return view;
+}
+
+export async function setViewState(partial) {
+  const checked = validateViewState({ ...(await getViewState()), ...partial });
+  if (checked.ok) await chrome.storage.local.set({ [VIEW_STATE_KEY]: checked.view });
+  return checked;
+}
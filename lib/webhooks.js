@@ -0,0 +1,131 @@
+import { readPath } from "./paths.js";
+
+// Outgoing webhooks: where to POST snapshots and alerts, and what the body looks like.
+// Kept in chrome.storage.local (not sync with the prefs) because each entry may hold a signing secret.
+// Delivery, retries and the delivery log live in sw.js.
+
+export const WEBHOOKS_KEY = "rcdm_webhooks";
+export const WEBHOOK_LOG_KEY = "rcdm_webhook_log";
+export const WEBHOOK_EVENTS = ["snapshot", "alert"];
+export const WEBHOOK_LOG_MAX = 100;
+export const WEBHOOKS_MAX = 10;
+const NAME_MAX_LENGTH = 60;
+const SECRET_MAX_LENGTH = 256;
+const TEMPLATE_MAX_LENGTH = 8_000;
+
+const PLACEHOLDER_RE = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_RE = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+export function newWebhook() {
+  return {
+    id: crypto.randomUUID(),
+    name: "",
+    url: "",
+    enabled: true,
+    events: [...WEBHOOK_EVENTS],
+    secret: "",
+    template: ""
+  };
+}
+
+function parseHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:" ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+// The optional host permission a webhook needs. Match patterns ignore the port, so one grant covers
+// every port on a host (handy for a local test server).
+export function webhookOriginPattern(value) {
+  const url = parseHttpUrl(value);
+  return url ? `${url.protocol}//${url.hostname}/*` : null;
+}
+
+// A template is JSON with {{path}} placeholders. An empty template means the default body.
+export function parseTemplate(text) {
+  if (!String(text ?? "").trim()) return { ok: true, template: null };
+  try {
+    return { ok: true, template: JSON.parse(text) };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+// Same shape as validatePrefs: { ok, webhooks, errors }, errors keyed "<id>.<field>".
+export function validateWebhooks(input) {
+  const errors = {};
+  const webhooks = [];
+  const list = Array.isArray(input) ? input : [];
+  if (list.length > WEBHOOKS_MAX) errors.webhooks = "out_of_range";
+
+  for (const raw of list.slice(0, WEBHOOKS_MAX)) {
+    const hook = { ...newWebhook(), ...(raw || {}) };
+    const id = String(hook.id);
+    const clean = {
+      id,
+      name: String(hook.name ?? "").trim().slice(0, NAME_MAX_LENGTH),
+      url: String(hook.url ?? "").trim(),
+      enabled: hook.enabled !== false,
+      events: Array.isArray(hook.events) ? WEBHOOK_EVENTS.filter((e) => hook.events.includes(e)) : [],
+      secret: String(hook.secret ?? ""),
+      template: String(hook.template ?? "")
+    };
+
+    if (!parseHttpUrl(clean.url)) errors[`${id}.url`] = "invalid_url";
+    if (!clean.events.length) errors[`${id}.events`] = "invalid_option";
+    if (clean.secret.length > SECRET_MAX_LENGTH) errors[`${id}.secret`] = "out_of_range";
+    if (clean.template.length > TEMPLATE_MAX_LENGTH) errors[`${id}.template`] = "out_of_range";
+    else if (!parseTemplate(clean.template).ok) errors[`${id}.template`] = "invalid_template";
+    webhooks.push(clean);
+  }
+
+  return { ok: Object.keys(errors).length === 0, webhooks, errors };
+}
+
+export async function getWebhooks() {
+  const stored = await chrome.storage.local.get({ [WEBHOOKS_KEY]: [] });
+  return validateWebhooks(stored[WEBHOOKS_KEY]).webhooks;
+}
+
+export async function setWebhooks(list) {
+  const checked = validateWebhooks(list);
+  if (checked.ok) await chrome.storage.local.set({ [WEBHOOKS_KEY]: checked.webhooks });
+  return checked;
+}
+
+// A string that is exactly one placeholder takes the value as is (numbers stay numbers, objects stay objects);
+// placeholders inside longer strings are interpolated as text.
+export function renderTemplate(template, context) {
+  if (typeof template === "string") {
+    const whole = template.match(WHOLE_PLACEHOLDER_RE);
+    if (whole) return readPath(context, whole[1]) ?? null;
+    return template.replace(PLACEHOLDER_RE, (_, path) => {
+      const value = readPath(context, path);
+      if (value == null) return "";
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) return template.map((item) => renderTemplate(item, context));
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, renderTemplate(v, context)]));
+  }
+  return template;
+}
+
+// context: { event, sentAt, snapshot, alert? } -- snapshot uses the external API schema (docs/external-api.md).
+export function webhookBody(hook, context) {
+  const parsed = parseTemplate(hook.template);
+  const body = parsed.ok && parsed.template != null ? renderTemplate(parsed.template, context) : context;
+  return JSON.stringify(body);
+}
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>"; receivers recompute it to check the sender and reject replays.
+export async function signWebhookBody(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(`${timestamp}.${body}`));
+  return Array.from(new Uint8Array(signature), (b) => b.toString(16).padStart(2, "0")).join("");
+}
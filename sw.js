@@ -1,69 +1,836 @@
+import {
+  EXTERNAL_API_VERSION,
+  EXTERNAL_HISTORY_DEFAULT_LIMIT,
+  EXTERNAL_HISTORY_MAX_LIMIT,
+  EXTERNAL_SUBSCRIBE_PORT,
+  externalError,
+  isSenderAllowed,
+  toExternalHistoryPoint,
+  toExternalSnapshot
+} from "./lib/external-api.js";
+import { EVENTS_KEY, EVENTS_MAX, detectAccountEvents } from "./lib/events.js";
+import { setLanguage, t } from "./lib/i18n.js";
+import { totalsValues } from "./lib/metrics.js";
+import { readPath } from "./lib/paths.js";
+import { PREFS_KEY, REFRESH_MINUTES_MIN, getPrefs } from "./lib/prefs.js";
+import { RESET_CHECKS_KEY, evaluateResets, nextResetCheckAt } from "./lib/resets.js";
+import { SCHEDULE_PLAN_KEY } from "./lib/schedule.js";
+import { isResetPending, subscriptionKey } from "./lib/subscriptions.js";
+import { buildSummaryText } from "./lib/summary.js";
+import { dateKey, formatClock, formatDateTime, resetScheduleFor, resetWindow, setDisplayTimeZone } from "./lib/time.js";
+import {
+  WEBHOOK_LOG_KEY,
+  WEBHOOK_LOG_MAX,
+  getWebhooks,
+  signWebhookBody,
+  webhookBody,
+  webhookOriginPattern
+} from "./lib/webhooks.js";
+
 const DASHBOARD_URL = "https://www.right.codes/dashboard";
 const RIGHTCODES_ORIGINS = ["https://right.codes/*", "https://www.right.codes/*"];
 
 const DATA_KEY = "rcdm_data";
 const LAST_ERROR_KEY = "rcdm_last_error";
-const PREFS_KEY = "rcdm_prefs";
+const HISTORY_KEY = "rcdm_history";
+const REFRESH_LOG_KEY = "rcdm_refresh_log";
+const NOTIFY_STATE_KEY = "rcdm_notify_state";
+const FORECAST_KEY = "rcdm_forecast";
+const SCHEMA_KEY = "rcdm_schema";
+// chrome.storage.session: survives service-worker restarts but not a browser restart.
+const REFRESH_STATE_KEY = "rcdm_refresh_state";
+const AUTH_STATE_KEY = "rcdm_auth_state";
+const DASHBOARD_URL_PATTERN = /^https:\/\/(www\.)?right\.codes\/dashboard/i;
 const AUTO_REFRESH_ALARM = "rcdm_auto_refresh";
+const WEBHOOK_RETRY_ALARM = "rcdm_webhook_retry";
+const RESET_CHECK_ALARM = "rcdm_reset_check";
+const WEBHOOK_QUEUE_KEY = "rcdm_webhook_queue";
+const PASSIVE_CAPTURE_SCRIPT_ID = "rcdm_passive_capture";
+const PASSIVE_CAPTURE_REFRESH_MS = 5 * 60 * 1000;
 const TEMP_TAB_BLOCK_RULE_ID = 30001;
+const OFFSCREEN_URL = "ui/offscreen.html";
+const COPY_NOTICE_ID = "rcdm_copied";
+const PROGRESS_PORT = "rcdm_progress";
+const CONTEXT_MENU_ITEMS = [
+  { id: "rcdm_menu_refresh", message: "menuRefreshNow" },
+  { id: "rcdm_menu_open", message: "menuOpenDashboard" }
+];
+const REFRESH_LOG_MAX = 50;
+const BUG_REPORT_LOG_ENTRIES = 20;
 const MIN_REFRESH_GAP_MS = 2_500;
 const REMOTE_RATE_LIMIT_COOLDOWN_MS = 65_000;
+// A worker killed mid-refresh leaves its lock behind; the lock expires on its own after this long.
+const REFRESH_LOCK_TTL_MS = 2 * 60 * 1000;
+// Repeated failures back off 1m, 2m, 4m, ... up to 1h, +/-20% so several browsers do not retry in lockstep.
+const BACKOFF_BASE_MS = 60_000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const BACKOFF_JITTER = 0.2;
+// Refreshes nobody explicitly asked for; these wait out a backoff, a click does not. External callers count as
+// automatic: another extension polling `refresh` must not be able to open tabs into a rate limit.
+const AUTOMATIC_REFRESH_REASONS = new Set(["alarm", "ui_open", "external", "reset_check"]);
+// Other extensions may not start refreshes (each can open a tab on right.codes) more often than the shortest
+// auto-refresh period.
+const EXTERNAL_REFRESH_MIN_INTERVAL_MS = REFRESH_MINUTES_MIN * 60_000;
+
+const RESET_PENDING_GRACE_MS = 15 * 60 * 1000;
+// A reset check that could not refresh tries again after this long (or after the backoff, if later).
+const RESET_CHECK_RETRY_MS = 10 * 60 * 1000;
+const RESET_CHECK_MIN_DELAY_MS = 60_000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// History retention: full resolution for 2 days, hourly for 14 days, daily up to 90 days.
+const HISTORY_RAW_WINDOW_MS = 2 * DAY_MS;
+const HISTORY_HOURLY_WINDOW_MS = 14 * DAY_MS;
+const HISTORY_MAX_AGE_MS = 90 * DAY_MS;
+const HISTORY_MAX_POINTS = 2_000;
+// Burn rate is estimated from the most recent stretch of snapshots within the current reset period.
+const FORECAST_WINDOW_MS = 3 * HOUR_MS;
+const FORECAST_MIN_SPAN_MS = 10 * 60 * 1000;
+// Adaptive schedule: faster near depletion, slower when nothing is being spent, one check right after each reset.
+const IDLE_DETECTION_SECONDS = 5 * 60;
+const ADAPTIVE_MIN_INTERVAL_MS = 2 * 60 * 1000;
+const ADAPTIVE_MAX_INTERVAL_MS = 60 * 60 * 1000;
+const ADAPTIVE_MIN_DELAY_MS = 30_000;
+const NEAR_DEPLETION_MS = 2 * HOUR_MS;
+const POST_RESET_DELAY_MS = 3 * 60 * 1000;
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+// Delay before each retry; a delivery is given up after the first attempt plus one try per entry.
+const WEBHOOK_RETRY_DELAYS_MS = [30_000, 2 * 60_000, 10 * 60_000, 30 * 60_000];
+
+// Everything the page scraper relies on. Users can import a newer version (see validateExtractSchema) when
+// right.codes changes its markup, without waiting for an extension release.
+const DEFAULT_EXTRACT_SCHEMA = {
+  version: 2,
+  containers: {
+    main: ["main", "#root"],
+    subscriptionGrid: [".mb-8 .grid.grid-cols-1.sm\\:grid-cols-2.lg\\:grid-cols-3"],
+    subscriptionRows: [".space-y-1.text-sm > div.flex.items-center.justify-between"],
+    subscriptionName: [".text-purple-500", ".font-semibold"],
+    usedPercentText: [".mt-2 span.tabular-nums"],
+    progress: ['[role="progressbar"]'],
+    totalsGrid: [".grid.grid-cols-1.sm\\:grid-cols-3.gap-4.mb-6"],
+    totalsLabel: [".text-default-500.text-sm"],
+    totalsValue: ['[class*="text-"]:not(.text-default-500)']
+  },
+  labels: {
+    // The first entry is the canonical key used in stored snapshots; the rest cover the English site.
+    endpoints: ["可用端点", "Available Endpoints", "Endpoints"],
+    remainingDays: ["剩余天数", "Remaining Days", "Days Left"],
+    remainingQuota: ["剩余额度", "Remaining Quota", "Remaining"],
+    acquiredAt: ["获得时间", "Acquired At", "Acquired", "Obtained At"],
+    expiresAt: ["到期时间", "Expires At", "Expiration", "Expires"],
+    resetStatus: ["今日重置", "Today's Reset", "Reset Today"],
+    totalRequests: ["累计请求", "Total Requests"],
+    totalTokens: ["累计 Token", "Total Tokens"],
+    totalCost: ["累计花费", "Total Cost", "Total Spent"]
+  },
+  patterns: {
+    balance: ["(?:余额|Balance)\\s*[:：]\\s*\\$\\s*([0-9.]+)"],
+    quota: ["\\$\\s*([0-9.]+)\\s*\\/\\s*\\$\\s*([0-9.]+)"],
+    tooManyRequests: ["too many requests", "查询请求过于频繁", "每分钟最多30次"],
+    loginMarkers: ["使用 linux do 登录", "还没有账号", "sign in with linux do", "login with linux do"],
+    // Reset status values meaning "not reset yet" (matched case-insensitively as substrings).
+    resetPendingValues: ["未", "not reset", "pending"],
+    loginPath: "/login"
+  },
+  fallbacks: {
+    textHeuristics: true
+  },
+  // User-mapped JSON endpoints for the "api" refresh strategy; the format is in docs/extract-schema.md. right.codes
+  // does not document its API and no mapping ships, so this stays empty until the user imports a schema with one.
+  api: null
+};
 
 let inFlightRefreshPromise = null;
-let nextAllowedRefreshAt = 0;
+let passiveCaptureInFlight = false;
+// The refresh in progress, as streamed to open popups/side panels over PROGRESS_PORT.
+let activeRefreshRun = null;
+const progressPorts = new Set();
+const externalSubscribers = new Set();
+// Serializes read-modify-write of the webhook queue and log, which overlapping deliveries would otherwise clobber.
+let webhookStorageChain = Promise.resolve();
+// Serializes the passive capture content script's get-then-register, which overlapping calls would race.
+let passiveCaptureRegistrationChain = Promise.resolve();
+
+const DEFAULT_REFRESH_STATE = {
+  lockedUntil: 0,
+  nextAllowedAt: 0,
+  failures: 0,
+  backoffUntil: 0,
+  lastFailure: null,
+  // Start of the last refresh that got as far as running, successful or not.
+  lastAttemptAt: 0
+};
 
-const DEFAULT_PREFS = {
-  autoRefresh: false,
-  autoRefreshExplicit: false,
-  refreshMinutes: 5,
-  closeTempTab: true
+const BADGE_COLORS = {
+  ok: "#16a34a",
+  depleted: "#dc2626",
+  inactive: "#6b7280"
 };
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// Settles with `promise`, or rejects as soon as `signal` aborts. The underlying work is not stopped; callers clean up
+// whatever it runs in (e.g. close the tab an injected script is running in).
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+function isQuotaDepleted(sub) {
+  const remaining = sub?.quota?.remaining;
+  if (typeof remaining === "number") return remaining <= 1e-9;
+
+  const raw = sub?.quota?.raw;
+  if (typeof raw !== "string") return false;
+
+  const m = raw.match(/[$¥]\s*([0-9]+(?:\.[0-9]+)?)/);
+  if (!m) return false;
+  return Number(m[1]) <= 1e-9;
+}
+
+function toHistoryPoint(result) {
+  const subs = Array.isArray(result?.subscriptions) ? result.subscriptions : [];
+  return {
+    t: Date.parse(result?.fetchedAt) || Date.now(),
+    balance: typeof result?.balance?.amount === "number" ? result.balance.amount : null,
+    totals: { ...(result?.totals || {}) },
+    values: totalsValues(result?.totals),
+    subs: subs.map((s) => ({
+      key: subscriptionKey(s),
+      name: s.name || null,
+      remaining: typeof s.quota?.remaining === "number" ? s.quota.remaining : null,
+      total: typeof s.quota?.total === "number" ? s.quota.total : null,
+      usedPercent: Number.isFinite(s.usedPercent) ? s.usedPercent : null
+    }))
+  };
+}
+
+function compactHistory(points, nowMs = Date.now()) {
+  const sorted = points
+    .filter((p) => p && Number.isFinite(p.t) && nowMs - p.t <= HISTORY_MAX_AGE_MS)
+    .sort((a, b) => a.t - b.t);
+
+  // Older points are thinned to the last point of each hour/day bucket, which keeps the
+  // end-of-period value (e.g. what was left right before a reset).
+  const byBucket = new Map();
+  for (const p of sorted) {
+    const age = nowMs - p.t;
+    const bucket =
+      age <= HISTORY_RAW_WINDOW_MS
+        ? `r${p.t}`
+        : age <= HISTORY_HOURLY_WINDOW_MS
+          ? `h${Math.floor(p.t / HOUR_MS)}`
+          : `d${Math.floor(p.t / DAY_MS)}`;
+    byBucket.set(bucket, p);
+  }
+
+  const compacted = Array.from(byBucket.values()).sort((a, b) => a.t - b.t);
+  return compacted.slice(-HISTORY_MAX_POINTS);
+}
+
+async function appendHistory(result) {
+  const stored = await chrome.storage.local.get({ [HISTORY_KEY]: [] });
+  const history = Array.isArray(stored[HISTORY_KEY]) ? stored[HISTORY_KEY] : [];
+  return compactHistory([...history, toHistoryPoint(result)]);
+}
+
+function estimateBurnRate(history, key, nowMs, periodStartMs) {
+  const windowStartMs = Math.max(periodStartMs, nowMs - FORECAST_WINDOW_MS);
+
+  let segment = [];
+  for (const point of history) {
+    if (point.t < windowStartMs) continue;
+    const remaining = point.subs?.find((s) => s.key === key)?.remaining;
+    if (typeof remaining !== "number") continue;
+    // A jump up means a reset or top-up happened; only the stretch after it describes current spending.
+    const prev = segment[segment.length - 1];
+    if (prev && remaining > prev.remaining + 1e-9) segment = [];
+    segment.push({ t: point.t, remaining });
+  }
+
+  if (segment.length < 2) return null;
+  const first = segment[0];
+  const last = segment[segment.length - 1];
+  const spanMs = last.t - first.t;
+  if (spanMs < FORECAST_MIN_SPAN_MS) return null;
+  return (first.remaining - last.remaining) / spanMs;
+}
+
+function computeForecast(data, history, prefs, nowMs = Date.now()) {
+  const nextResetAt = resetWindow(resetScheduleFor(prefs, null), nowMs).nextMs;
+  const subs = {};
+
+  for (const sub of Array.isArray(data?.subscriptions) ? data.subscriptions : []) {
+    const key = subscriptionKey(sub);
+    const remaining = sub.quota?.remaining;
+    const period = resetWindow(resetScheduleFor(prefs, key), nowMs);
+    const entry = {
+      name: sub.name || null,
+      remaining: remaining ?? null,
+      ratePerHour: null,
+      depletionAt: null,
+      nextResetAt: period.nextMs
+    };
+
+    if (typeof remaining !== "number") {
+      entry.status = "unknown";
+    } else if (isQuotaDepleted(sub)) {
+      entry.status = "depleted";
+    } else {
+      const ratePerMs = estimateBurnRate(history, key, nowMs, period.previousMs);
+      if (ratePerMs == null) {
+        entry.status = "insufficient";
+      } else if (ratePerMs <= 0) {
+        entry.status = "flat";
+        entry.ratePerHour = 0;
+      } else {
+        entry.status = "draining";
+        entry.ratePerHour = ratePerMs * HOUR_MS;
+        entry.depletionAt = nowMs + remaining / ratePerMs;
+      }
+    }
+
+    entry.beforeReset = entry.status === "depleted" || (entry.depletionAt != null && entry.depletionAt < period.nextMs);
+    subs[key] = entry;
+  }
+
+  return { computedAt: nowMs, nextResetAt, subs };
+}
+
+async function saveSnapshot(snapshot) {
+  const result = { ...snapshot, totalsValues: totalsValues(snapshot?.totals) };
+  // Any snapshot proves the session works again, whichever path produced it.
+  await chrome.storage.local.remove(AUTH_STATE_KEY);
+  const stored = await chrome.storage.local.get({ [DATA_KEY]: null, [EVENTS_KEY]: [], [RESET_CHECKS_KEY]: [] });
+  const prefs = await getPrefs();
+  const history = await appendHistory(result);
+  const forecast = computeForecast(result, history, prefs, Date.parse(result?.fetchedAt) || Date.now());
+  const detected = detectAccountEvents(stored[DATA_KEY], result);
+  const events = Array.isArray(stored[EVENTS_KEY]) ? stored[EVENTS_KEY] : [];
+  const resets = prefs.resetCheck.enabled
+    ? evaluateResets({
+        data: result,
+        history,
+        checks: Array.isArray(stored[RESET_CHECKS_KEY]) ? stored[RESET_CHECKS_KEY] : [],
+        prefs
+      })
+    : { updated: [] };
+  await chrome.storage.local.set({
+    [DATA_KEY]: result,
+    [LAST_ERROR_KEY]: null,
+    [HISTORY_KEY]: history,
+    [FORECAST_KEY]: forecast,
+    ...(detected.length ? { [EVENTS_KEY]: [...detected, ...events].slice(0, EVENTS_MAX) } : {}),
+    ...(resets.updated.length ? { [RESET_CHECKS_KEY]: resets.checks } : {})
+  });
+
+  try {
+    await evaluateNotifications(result);
+  } catch {
+    // notifications are best-effort
+  }
+}
+
+function isRuleSet(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// Re-run the forecast against stored data, e.g. after the reset schedule changed.
+async function recomputeForecast() {
+  const stored = await chrome.storage.local.get({ [DATA_KEY]: null, [HISTORY_KEY]: [] });
+  if (!stored[DATA_KEY]) return;
+  const history = Array.isArray(stored[HISTORY_KEY]) ? stored[HISTORY_KEY] : [];
+  await chrome.storage.local.set({ [FORECAST_KEY]: computeForecast(stored[DATA_KEY], history, await getPrefs()) });
+}
+
+function collectAlertConditions(data, prefs, nowMs = Date.now()) {
+  const rules = prefs.notifyRules;
+  const conditions = [];
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+
+  const balance = data?.balance?.amount;
+  if (isRuleSet(rules.balanceBelow) && typeof balance === "number" && balance < rules.balanceBelow) {
+    conditions.push({
+      id: "balance_below",
+      title: t("notifyBalanceTitle"),
+      message: t("notifyBalanceMessage", [data.balance.raw || balance, rules.balanceBelow])
+    });
+  }
+
+  for (const sub of subs) {
+    const key = subscriptionKey(sub);
+    const name = sub.name || t("unnamedSubscription");
+    const remaining = sub.quota?.remaining;
+    const total = sub.quota?.total;
+
+    if (isRuleSet(rules.quotaBelowAmount) && typeof remaining === "number" && remaining < rules.quotaBelowAmount) {
+      conditions.push({
+        id: `quota_amount:${key}`,
+        title: t("notifyQuotaTitle", name),
+        message: t("notifyQuotaAmountMessage", [remaining, rules.quotaBelowAmount])
+      });
+    }
+
+    if (isRuleSet(rules.quotaBelowPercent) && typeof remaining === "number" && total > 0) {
+      const percent = (remaining / total) * 100;
+      if (percent < rules.quotaBelowPercent) {
+        conditions.push({
+          id: `quota_percent:${key}`,
+          title: t("notifyQuotaTitle", name),
+          message: t("notifyQuotaPercentMessage", [percent.toFixed(1), remaining, total, rules.quotaBelowPercent])
+        });
+      }
+    }
+
+    if (
+      isRuleSet(rules.remainingDaysBelow) &&
+      Number.isFinite(sub.remainingDays) &&
+      sub.remainingDays < rules.remainingDaysBelow
+    ) {
+      conditions.push({
+        id: `days:${key}`,
+        title: t("notifyExpiryTitle", name),
+        message: t("notifyExpiryMessage", [sub.remainingDays, sub.expiresAt || "—"])
+      });
+    }
+
+    // One alert per reset period: the period's date is part of the id, so yesterday's state never suppresses today's.
+    const period = resetWindow(resetScheduleFor(prefs, key), nowMs);
+    if (rules.resetPending && nowMs - period.previousMs >= RESET_PENDING_GRACE_MS && isResetPending(sub)) {
+      conditions.push({
+        id: `reset_pending:${key}:${dateKey(period.previousMs, period.timeZone)}`,
+        title: t("notifyResetTitle", name),
+        message: t("notifyResetMessage", [sub.resetStatus || "—", formatDateTime(period.previousMs)])
+      });
+    }
+  }
+
+  return conditions;
 }
 
-async function getPrefs() {
-  const stored = await chrome.storage.sync.get({ [PREFS_KEY]: DEFAULT_PREFS });
-  const prefs = { ...DEFAULT_PREFS, ...(stored[PREFS_KEY] || {}) };
-  // Migration/behavior: auto refresh is OFF unless user explicitly enabled it.
-  if (!prefs.autoRefreshExplicit) prefs.autoRefresh = false;
-  return prefs;
+async function evaluateNotifications(data) {
+  const prefs = await getPrefs();
+  await setLanguage(prefs.language);
+  setDisplayTimeZone(prefs.displayTimeZone);
+  // The rules also feed "alert" webhooks, which work with desktop notifications turned off.
+  const alertHooks = (await getWebhooks()).some((h) => h.enabled && h.events.includes("alert"));
+  const conditions = prefs.notifyRules.enabled || alertHooks ? collectAlertConditions(data, prefs) : [];
+
+  const stored = await chrome.storage.local.get({ [NOTIFY_STATE_KEY]: {} });
+  const previouslyActive = stored[NOTIFY_STATE_KEY] || {};
+  const active = {};
+
+  // Alert only on the transition into a condition; it re-arms once the condition clears.
+  for (const condition of conditions) {
+    active[condition.id] = true;
+    if (previouslyActive[condition.id]) continue;
+    if (prefs.notifyRules.enabled) {
+      await chrome.notifications.create(`rcdm_notify:${condition.id}`, {
+        type: "basic",
+        iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+        title: condition.title,
+        message: condition.message,
+        priority: 1
+      });
+    }
+    void dispatchWebhookEvent("alert", { alert: condition });
+  }
+
+  await chrome.storage.local.set({ [NOTIFY_STATE_KEY]: active });
 }
 
 async function syncAlarmWithPrefs() {
   const prefs = await getPrefs();
   await chrome.alarms.clear(AUTO_REFRESH_ALARM);
-  if (!prefs.autoRefresh) return;
+  if (!prefs.autoRefresh) {
+    await chrome.storage.session.set({ [SCHEDULE_PLAN_KEY]: null });
+    return;
+  }
 
   const minutes = Number(prefs.refreshMinutes);
   if (!Number.isFinite(minutes) || minutes <= 0) return;
 
+  if (await pauseWhileLoggedOut(prefs)) return;
+
+  if (prefs.scheduleMode === "adaptive") {
+    await scheduleAdaptiveRefresh(prefs);
+    return;
+  }
+
   chrome.alarms.create(AUTO_REFRESH_ALARM, { periodInMinutes: minutes });
+  await chrome.storage.session.set({
+    [SCHEDULE_PLAN_KEY]: { mode: "fixed", at: Date.now() + minutes * 60_000, reason: "fixed", minutes }
+  });
+}
+
+// Push the next run to the end of a backoff instead of firing into it every period.
+async function rescheduleAutoRefresh(whenMs) {
+  const prefs = await getPrefs();
+  if (!prefs.autoRefresh) return;
+  if (prefs.scheduleMode === "adaptive") {
+    await scheduleAdaptiveRefresh(prefs);
+    return;
+  }
+  const minutes = Number(prefs.refreshMinutes);
+  chrome.alarms.create(AUTO_REFRESH_ALARM, { when: whenMs, periodInMinutes: minutes });
+  await chrome.storage.session.set({
+    [SCHEDULE_PLAN_KEY]: { mode: "fixed", at: whenMs, reason: "backoff", minutes }
+  });
+}
+
+// Decides when the next adaptive refresh runs and why. Each rule can only move the time, and the last one
+// to move it names the reason, so the UI can say e.g. "in 7m because Pro is close to running out".
+function planAdaptiveRefresh({ prefs, data, forecast, refreshState, nowMs = Date.now() }) {
+  const baseMs = Number(prefs.refreshMinutes) * 60_000;
+  const lastFetchedMs = Date.parse(data?.fetchedAt) || 0;
+  // Planned from the last attempt, not the last success: failures that do not back off (a timeout, a tab that
+  // would not open, a missing permission) would otherwise bring the next run round every ADAPTIVE_MIN_DELAY_MS.
+  const lastAttemptMs = Math.max(lastFetchedMs, refreshState?.lastAttemptAt || 0);
+  const entries = Object.values(forecast?.subs || {});
+
+  let intervalMs = baseMs;
+  let reason = "normal";
+  let subject = null;
+
+  const urgent = entries.find(
+    (e) => e.status === "draining" && (e.beforeReset || e.depletionAt - nowMs < NEAR_DEPLETION_MS)
+  );
+  if (urgent) {
+    intervalMs = Math.max(ADAPTIVE_MIN_INTERVAL_MS, Math.min(baseMs, baseMs / 2));
+    reason = "near_depletion";
+    subject = urgent.name || null;
+  } else if (entries.length && entries.every((e) => e.status === "flat" || e.status === "depleted")) {
+    intervalMs = Math.max(baseMs, Math.min(ADAPTIVE_MAX_INTERVAL_MS, baseMs * 3));
+    reason = "flat";
+  }
+
+  let at = Math.max(nowMs + ADAPTIVE_MIN_DELAY_MS, (lastAttemptMs || nowMs) + intervalMs);
+
+  // One refresh shortly after every reset; if none has happened since the last reset yet, do it now.
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+  const keys = subs.length ? subs.map(subscriptionKey) : [null];
+  for (const key of keys) {
+    const period = resetWindow(resetScheduleFor(prefs, key), nowMs);
+    const checkAfterPrevious = period.previousMs + POST_RESET_DELAY_MS;
+    // A post-reset attempt that failed is retried on the normal interval, not straight away.
+    const retryAfterMs = lastAttemptMs >= checkAfterPrevious ? lastAttemptMs + intervalMs : 0;
+    const checkAt =
+      lastFetchedMs < checkAfterPrevious
+        ? Math.max(nowMs + ADAPTIVE_MIN_DELAY_MS, checkAfterPrevious, retryAfterMs)
+        : period.nextMs + POST_RESET_DELAY_MS;
+    if (checkAt < at) {
+      at = checkAt;
+      reason = "post_reset";
+      subject = null;
+    }
+  }
+
+  if (refreshState?.backoffUntil > at) {
+    at = refreshState.backoffUntil;
+    reason = "backoff";
+    subject = null;
+  }
+
+  return { mode: "adaptive", at, reason, subject, intervalMs, computedAt: nowMs };
+}
+
+async function scheduleAdaptiveRefresh(prefs) {
+  if (await pauseWhileLoggedOut(prefs)) return;
+  const state = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+  if (state !== "active") {
+    await chrome.alarms.clear(AUTO_REFRESH_ALARM);
+    await chrome.storage.session.set({ [SCHEDULE_PLAN_KEY]: { mode: "adaptive", at: null, reason: state } });
+    return;
+  }
+
+  const stored = await chrome.storage.local.get({ [DATA_KEY]: null, [FORECAST_KEY]: null });
+  const plan = planAdaptiveRefresh({
+    prefs,
+    data: stored[DATA_KEY],
+    forecast: stored[FORECAST_KEY],
+    refreshState: await getRefreshState()
+  });
+  chrome.alarms.create(AUTO_REFRESH_ALARM, { when: plan.at });
+  await chrome.storage.session.set({ [SCHEDULE_PLAN_KEY]: plan });
+}
+
+// Re-plan after anything that changes the inputs (a new snapshot, a failed run, the machine waking up).
+async function syncAdaptiveSchedule() {
+  const prefs = await getPrefs();
+  if (prefs.autoRefresh && prefs.scheduleMode === "adaptive") await scheduleAdaptiveRefresh(prefs);
+}
+
+// The reset check is scheduled whether or not auto refresh is on: its point is one snapshot shortly after each reset.
+// Every saved snapshot is judged against the reset (see saveSnapshot), so this only has to make sure one exists.
+async function syncResetCheckAlarm() {
+  const prefs = await getPrefs();
+  if (!prefs.resetCheck.enabled || (await getAuthState())) {
+    await chrome.alarms.clear(RESET_CHECK_ALARM);
+    return;
+  }
+  const stored = await chrome.storage.local.get({ [DATA_KEY]: null, [RESET_CHECKS_KEY]: [] });
+  const at = nextResetCheckAt({
+    data: stored[DATA_KEY],
+    checks: Array.isArray(stored[RESET_CHECKS_KEY]) ? stored[RESET_CHECKS_KEY] : [],
+    prefs
+  });
+  if (at == null) {
+    await chrome.alarms.clear(RESET_CHECK_ALARM);
+    return;
+  }
+  chrome.alarms.create(RESET_CHECK_ALARM, { when: Math.max(at, Date.now() + RESET_CHECK_MIN_DELAY_MS) });
+}
+
+async function runResetCheck() {
+  let result = null;
+  try {
+    result = await runCoalescedRefresh("reset_check");
+  } catch {
+    // ignore: retried below like any other failed check
+  }
+  if (result?.ok) {
+    await syncResetCheckAlarm();
+    return;
+  }
+  const state = await getRefreshState();
+  chrome.alarms.create(RESET_CHECK_ALARM, { when: Math.max(Date.now() + RESET_CHECK_RETRY_MS, state.backoffUntil) });
+}
+
+// Signed out, every scheduled run would only open another temp tab onto the login page. The schedule comes back
+// when AUTH_STATE_KEY is cleared by the next successful snapshot.
+async function pauseWhileLoggedOut(prefs) {
+  if (!(await getAuthState())) return false;
+  await chrome.alarms.clear(AUTO_REFRESH_ALARM);
+  await chrome.storage.session.set({ [SCHEDULE_PLAN_KEY]: { mode: prefs.scheduleMode, at: null, reason: "logged_out" } });
+  return true;
+}
+
+function formatBadgeAmount(n) {
+  if (!Number.isFinite(n)) return "";
+  if (n <= 0) return "0";
+  if (n < 10) return String(Math.floor(n * 10) / 10);
+  if (n < 1_000) return String(Math.floor(n));
+  if (n < 10_000) return `${Math.floor(n / 100) / 10}k`;
+  return `${Math.floor(n / 1_000)}k`;
+}
+
+function errorDetailText(detail) {
+  if (detail == null) return "";
+  return typeof detail === "string" ? detail : JSON.stringify(detail);
+}
+
+function isInactiveError(lastError) {
+  if (!lastError) return false;
+  if (lastError.code === "missing_host_permission") return true;
+  return errorDetailText(lastError.detail).toLowerCase().includes("auth_required");
+}
+
+function pickBadgeTarget(data, source) {
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+  const balanceTarget =
+    typeof data?.balance?.amount === "number"
+      ? { label: t("balance"), amount: data.balance.amount, depleted: data.balance.amount <= 1e-9 }
+      : null;
+
+  if (source === "balance") return balanceTarget;
+
+  if (String(source || "").startsWith("sub:")) {
+    const key = source.slice(4);
+    const sub = subs.find((s) => subscriptionKey(s) === key);
+    if (!sub) return null;
+    return { label: sub.name || t("subscriptionFallback"), amount: sub.quota?.remaining ?? null, depleted: isQuotaDepleted(sub) };
+  }
+
+  // auto: the subscription closest to running out, else the balance.
+  let lowest = null;
+  for (const sub of subs) {
+    const remaining = sub.quota?.remaining;
+    if (typeof remaining !== "number") continue;
+    if (!lowest || remaining < lowest.amount) {
+      lowest = { label: sub.name || t("subscriptionFallback"), amount: remaining, depleted: isQuotaDepleted(sub) };
+    }
+  }
+  return lowest || balanceTarget;
+}
+
+function buildBadgeTitle(data, lastError) {
+  const lines = [t("extName")];
+  if (data?.balance?.raw) lines.push(t("summaryBalance", data.balance.raw));
+  for (const sub of Array.isArray(data?.subscriptions) ? data.subscriptions : []) {
+    const quotaText = sub.quota?.raw || "—";
+    lines.push(`${sub.name || t("unnamedSubscription")}: ${quotaText}${isQuotaDepleted(sub) ? t("summaryDepleted") : ""}`);
+  }
+  if (data?.fetchedAt) lines.push(t("summaryUpdatedAt", formatDateTime(data.fetchedAt)));
+  if (data?.staleSince) lines.push(t("summaryStale"));
+  if (lastError) {
+    const detail = errorDetailText(lastError.detail);
+    lines.push(t("summaryLastError", `${lastError.code || "error"}${detail ? ` (${detail})` : ""}`));
+  }
+  return lines.join("\n");
+}
+
+async function updateBadge() {
+  const prefs = await getPrefs();
+  await setLanguage(prefs.language);
+  setDisplayTimeZone(prefs.displayTimeZone);
+  const stored = await chrome.storage.local.get({ [DATA_KEY]: null, [LAST_ERROR_KEY]: null });
+  const data = stored[DATA_KEY];
+  const lastError = stored[LAST_ERROR_KEY];
+
+  const target = pickBadgeTarget(data, prefs.badgeSource);
+  let text = target ? formatBadgeAmount(target.amount) : "";
+  let color = target?.depleted ? BADGE_COLORS.depleted : BADGE_COLORS.ok;
+
+  if (isInactiveError(lastError)) {
+    color = BADGE_COLORS.inactive;
+    if (!text) text = "!";
+  }
+
+  await chrome.action.setBadgeBackgroundColor({ color });
+  if (chrome.action.setBadgeTextColor) await chrome.action.setBadgeTextColor({ color: "#ffffff" });
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setTitle({ title: buildBadgeTitle(data, lastError) });
 }
 
 async function hasRightCodesPermission() {
   return chrome.permissions.contains({ origins: RIGHTCODES_ORIGINS });
 }
 
+// Called on startup, install, permission and prefs changes, often several at once; each call waits for the last.
+function syncPassiveCaptureRegistration() {
+  passiveCaptureRegistrationChain = passiveCaptureRegistrationChain.then(applyPassiveCaptureRegistration).catch(() => {
+    // ignore: the next prefs, permission or startup event tries again
+  });
+  return passiveCaptureRegistrationChain;
+}
+
+async function applyPassiveCaptureRegistration() {
+  const prefs = await getPrefs();
+  const wanted = prefs.passiveCapture && (await hasRightCodesPermission());
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PASSIVE_CAPTURE_SCRIPT_ID] });
+
+  if (wanted && !registered.length) {
+    await chrome.scripting.registerContentScripts([
+      {
+        id: PASSIVE_CAPTURE_SCRIPT_ID,
+        js: ["content/capture.js"],
+        matches: RIGHTCODES_ORIGINS,
+        runAt: "document_idle",
+        persistAcrossSessions: true
+      }
+    ]);
+  } else if (!wanted && registered.length) {
+    await chrome.scripting.unregisterContentScripts({ ids: [PASSIVE_CAPTURE_SCRIPT_ID] });
+  }
+}
+
+function snapshotFingerprint(data) {
+  return JSON.stringify([data?.balance?.raw ?? null, data?.subscriptions ?? [], data?.totals ?? {}]);
+}
+
+async function handlePassiveCapture(sender) {
+  const tabId = sender?.tab?.id;
+  if (typeof tabId !== "number") return { ok: false, error: { code: "no_sender_tab" } };
+  // A scheduled/manual refresh is already reading a dashboard tab. The flag is set before the first await so a
+  // refresh starting meanwhile sees it (refreshDashboardData checks it the same way).
+  if (inFlightRefreshPromise || passiveCaptureInFlight) return { ok: false, error: { code: "busy" } };
+  passiveCaptureInFlight = true;
+  let locked = false;
+  try {
+    if (Date.now() < (await getRefreshState()).lockedUntil) return { ok: false, error: { code: "busy" } };
+
+    const prefs = await getPrefs();
+    if (!prefs.passiveCapture) return { ok: false, error: { code: "passive_capture_disabled" } };
+
+    // Same lock as a refresh: saveSnapshot's history, events and alert state updates must not interleave.
+    await patchRefreshState({ lockedUntil: Date.now() + REFRESH_LOCK_TTL_MS });
+    locked = true;
+    const result = await executeExtractWithRetry(tabId, 1);
+    // Page is mid-render or not a dashboard view; wait for the next mutation instead of recording an error.
+    if (!result?.ok) return { ok: false, error: { code: "extract_failed", detail: result?.error || result } };
+
+    const stored = await chrome.storage.local.get({ [DATA_KEY]: null });
+    const previous = stored[DATA_KEY];
+    const unchanged = previous && snapshotFingerprint(previous) === snapshotFingerprint(result);
+    const recent = previous && Date.now() - (Date.parse(previous.fetchedAt) || 0) < PASSIVE_CAPTURE_REFRESH_MS;
+    if (unchanged && recent) return { ok: true, skipped: "unchanged" };
+
+    const data = { ...result, strategy: "passive" };
+    await saveSnapshot(data);
+    // The page rendered while signed in, so whatever the backoff was waiting for has cleared.
+    await patchRefreshState({ failures: 0, backoffUntil: 0, lastFailure: null });
+    return { ok: true, data };
+  } catch (err) {
+    return { ok: false, error: { code: "passive_capture_exception", detail: String(err?.message || err) } };
+  } finally {
+    try {
+      if (locked) await patchRefreshState({ lockedUntil: 0 });
+    } finally {
+      passiveCaptureInFlight = false;
+    }
+  }
+}
+
 async function findExistingDashboardTab() {
   const tabs = await chrome.tabs.query({ url: ["https://right.codes/dashboard*", "https://www.right.codes/dashboard*"] });
   return tabs.find((t) => typeof t.id === "number") || null;
 }
 
-function waitForTabUrl(tabId, pattern, timeoutMs = 20_000) {
+function waitForTabUrl(tabId, pattern, timeoutMs = 20_000, signal = null) {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
     const timeout = setTimeout(() => {
-      chrome.tabs.onUpdated.removeListener(onUpdated);
+      stop();
       reject(new Error("timeout_waiting_for_tab_url"));
     }, timeoutMs);
 
+    function stop() {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    function onAbort() {
+      stop();
+      reject(signal.reason);
+    }
+
     async function maybeResolveNow() {
       try {
         const tab = await chrome.tabs.get(tabId);
         if (pattern.test(String(tab?.url || ""))) {
-          clearTimeout(timeout);
-          chrome.tabs.onUpdated.removeListener(onUpdated);
+          stop();
           resolve(tab);
         }
       } catch {
@@ -75,12 +842,12 @@ function waitForTabUrl(tabId, pattern, timeoutMs = 20_000) {
       if (updatedTabId !== tabId) return;
       const url = String(changeInfo.url || tab?.url || "");
       if (!pattern.test(url)) return;
-      clearTimeout(timeout);
-      chrome.tabs.onUpdated.removeListener(onUpdated);
+      stop();
       resolve(tab);
     }
 
     chrome.tabs.onUpdated.addListener(onUpdated);
+    signal?.addEventListener("abort", onAbort, { once: true });
     void maybeResolveNow();
   });
 }
@@ -109,21 +876,131 @@ async function clearTempTabLightModeRule() {
   });
 }
 
-async function executeExtractWithRetry(tabId, maxAttempts = 4) {
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every((v) => typeof v === "string" && v.trim());
+}
+
+function validateExtractSchema(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { ok: false, detail: "not_an_object" };
+  if (!Number.isInteger(input.version) || input.version < 1) return { ok: false, detail: "invalid_version" };
+
+  const schema = {
+    version: input.version,
+    containers: { ...DEFAULT_EXTRACT_SCHEMA.containers },
+    labels: { ...DEFAULT_EXTRACT_SCHEMA.labels },
+    patterns: { ...DEFAULT_EXTRACT_SCHEMA.patterns },
+    fallbacks: { ...DEFAULT_EXTRACT_SCHEMA.fallbacks }
+  };
+
+  // Sections are merged key by key, so an imported schema only needs to contain what changed.
+  for (const section of ["containers", "labels"]) {
+    for (const [key, value] of Object.entries(input[section] || {})) {
+      if (!isStringList(value)) return { ok: false, detail: `invalid_${section}.${key}` };
+      schema[section][key] = value;
+    }
+  }
+
+  for (const [key, value] of Object.entries(input.patterns || {})) {
+    if (key === "loginPath") {
+      if (typeof value !== "string" || !value.startsWith("/")) return { ok: false, detail: "invalid_patterns.loginPath" };
+      schema.patterns[key] = value;
+      continue;
+    }
+    if (!isStringList(value)) return { ok: false, detail: `invalid_patterns.${key}` };
+    if (key === "balance" || key === "quota") {
+      try {
+        value.forEach((source) => new RegExp(source));
+      } catch {
+        return { ok: false, detail: `invalid_regex_patterns.${key}` };
+      }
+    }
+    schema.patterns[key] = value;
+  }
+
+  if (input.fallbacks && typeof input.fallbacks.textHeuristics === "boolean") {
+    schema.fallbacks.textHeuristics = input.fallbacks.textHeuristics;
+  }
+
+  if (input.api != null) {
+    const api = validateApiSchema(input.api);
+    if (!api.ok) return api;
+    schema.api = api.value;
+  } else {
+    schema.api = DEFAULT_EXTRACT_SCHEMA.api;
+  }
+
+  return { ok: true, schema };
+}
+
+function validateApiSchema(input) {
+  if (typeof input !== "object" || Array.isArray(input)) return { ok: false, detail: "invalid_api" };
+
+  const value = {};
+  for (const section of ["balance", "subscriptions", "totals"]) {
+    const entry = input[section];
+    if (entry == null) continue;
+    // Only same-origin paths: the request carries the user's right.codes session cookies.
+    if (typeof entry.url !== "string" || !entry.url.startsWith("/") || entry.url.startsWith("//")) {
+      return { ok: false, detail: `invalid_api.${section}.url` };
+    }
+    if (entry.path != null && typeof entry.path !== "string") return { ok: false, detail: `invalid_api.${section}.path` };
+    const fields = entry.fields || {};
+    if (typeof fields !== "object" || Object.values(fields).some((v) => typeof v !== "string")) {
+      return { ok: false, detail: `invalid_api.${section}.fields` };
+    }
+    value[section] = { url: entry.url, path: entry.path || "", fields: { ...fields } };
+  }
+
+  if (!Object.keys(value).length) return { ok: false, detail: "invalid_api.empty" };
+  return { ok: true, value };
+}
+
+async function getExtractSchema() {
+  const stored = await chrome.storage.local.get({ [SCHEMA_KEY]: null });
+  const imported = stored[SCHEMA_KEY];
+  // A bundled schema that is newer than the imported one wins (the extension was updated since).
+  if (!imported || imported.version < DEFAULT_EXTRACT_SCHEMA.version) return DEFAULT_EXTRACT_SCHEMA;
+  const checked = validateExtractSchema(imported);
+  return checked.ok ? checked.schema : DEFAULT_EXTRACT_SCHEMA;
+}
+
+async function importExtractSchema(input) {
+  const checked = validateExtractSchema(input);
+  if (!checked.ok) return { ok: false, error: { code: "invalid_schema", detail: checked.detail } };
+  if (checked.schema.version < DEFAULT_EXTRACT_SCHEMA.version) {
+    return {
+      ok: false,
+      error: { code: "schema_outdated", detail: `bundled_version_${DEFAULT_EXTRACT_SCHEMA.version}` }
+    };
+  }
+  await chrome.storage.local.set({ [SCHEMA_KEY]: checked.schema });
+  return { ok: true, schema: checked.schema };
+}
+
+async function executeExtractWithRetry(tabId, maxAttempts = 4, run = null) {
   let lastErr = null;
+  const schema = await getExtractSchema();
+  const signal = run?.controller.signal;
 
   for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    signal?.throwIfAborted();
     try {
       const tab = await chrome.tabs.get(tabId);
       if (!tab) throw new Error("tab_not_found");
 
-      const injected = await chrome.scripting.executeScript({
-        target: { tabId },
-        func: extractRightCodesDashboard
-      });
+      // The extractor can wait on the page for a while; a cancel must not wait for it.
+      const injected = await abortable(
+        chrome.scripting.executeScript({
+          target: { tabId },
+          func: extractRightCodesDashboard,
+          args: [schema]
+        }),
+        signal
+      );
 
       return injected?.[0]?.result;
     } catch (err) {
+      if (signal?.aborted) throw err;
       lastErr = err;
       const msg = String(err?.message || err || "");
       const retryable =
@@ -133,18 +1010,20 @@ async function executeExtractWithRetry(tabId, maxAttempts = 4) {
         msg.includes("Cannot access contents of url");
 
       if (!retryable || attempt === maxAttempts) break;
-      await sleep(220 * attempt);
+      reportProgress(run, "retry", { reason: msg });
+      await sleep(220 * attempt, signal);
     }
   }
 
   throw lastErr || new Error("extract_retry_failed");
 }
 
-async function extractDashboardWithResultRetry(tabId, maxAttempts = 3) {
+async function extractDashboardWithResultRetry(tabId, maxAttempts = 3, run = null) {
   let lastResult = null;
 
   for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
-    const result = await executeExtractWithRetry(tabId);
+    reportProgress(run, "extract", { attempt, maxAttempts });
+    const result = await executeExtractWithRetry(tabId, undefined, run);
     lastResult = result;
 
     if (result?.ok) return result;
@@ -153,115 +1032,902 @@ async function extractDashboardWithResultRetry(tabId, maxAttempts = 3) {
     const retryableResult = detail.includes("main_not_found") || detail.includes("dashboard_data_not_ready");
     if (!retryableResult || attempt === maxAttempts) return result;
 
-    await sleep(300 * attempt);
+    reportProgress(run, "retry", { reason: detail });
+    await sleep(300 * attempt, run?.controller.signal);
   }
 
   return lastResult;
 }
 
-async function refreshDashboardData({ reason }) {
-  const now = Date.now();
-  if (now < nextAllowedRefreshAt) {
-    const error = {
-      at: new Date().toISOString(),
-      reason,
-      code: "rate_limited_local",
-      detail: `cooldown_until_${new Date(nextAllowedRefreshAt).toISOString()}`
-    };
-    await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
-    return { ok: false, error };
-  }
-
-  nextAllowedRefreshAt = now + MIN_REFRESH_GAP_MS;
+function toFiniteNumber(value) {
+  const n = typeof value === "string" ? Number(value.replace(/[$¥,\s]/g, "")) : value;
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+}
 
-  const hasPerm = await hasRightCodesPermission();
-  if (!hasPerm) {
-    const error = { at: new Date().toISOString(), reason, code: "missing_host_permission" };
-    await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
-    return { ok: false, error };
-  }
+async function fetchDashboardJson(path, signal) {
+  const res = await fetch(new URL(path, DASHBOARD_URL), {
+    signal,
+    credentials: "include",
+    cache: "no-store",
+    headers: { Accept: "application/json" }
+  });
+  if (res.status === 401 || res.status === 403) throw new Error("auth_required");
+  if (res.status === 429) throw new Error("too_many_requests");
+  if (!res.ok) throw new Error(`http_${res.status}`);
+  // A redirect to the login page comes back as HTML.
+  if (!String(res.headers.get("content-type") || "").includes("json")) throw new Error("not_json");
+  return res.json();
+}
 
-  const prefs = await getPrefs();
+function mapApiSubscription(item, fields) {
+  const pick = (field) => (fields[field] ? readPath(item, fields[field]) : undefined);
+  const remaining = toFiniteNumber(pick("remaining"));
+  const total = toFiniteNumber(pick("total"));
+  const endpoints = pick("endpoints");
+  const remainingDays = toFiniteNumber(pick("remainingDays"));
+  const usedPercent =
+    toFiniteNumber(pick("usedPercent")) ?? (remaining != null && total > 0 ? ((total - remaining) / total) * 100 : null);
+
+  return {
+    name: pick("name") != null ? String(pick("name")) : null,
+    remainingDaysRaw: remainingDays != null ? String(remainingDays) : null,
+    remainingDays,
+    acquiredAt: pick("acquiredAt") != null ? String(pick("acquiredAt")) : null,
+    expiresAt: pick("expiresAt") != null ? String(pick("expiresAt")) : null,
+    resetStatus: pick("resetStatus") != null ? String(pick("resetStatus")) : null,
+    endpoints: Array.isArray(endpoints) ? endpoints.map((e) => ({ title: String(e?.title ?? e?.name ?? e) })) : [],
+    quota:
+      remaining != null
+        ? { remaining, total, currency: "$", raw: total != null ? `$${remaining} / $${total}` : `$${remaining}` }
+        : null,
+    usedPercentText: usedPercent != null ? `${Math.round(usedPercent)}%` : null,
+    usedPercent
+  };
+}
 
-  let tab = await findExistingDashboardTab();
-  let createdTempTab = false;
+async function fetchDashboardViaApi(schema, signal = null) {
+  const fetchedAt = new Date().toISOString();
+  const api = schema?.api;
+  if (!api) return { ok: false, error: "api_not_configured", fetchedAt };
 
-  if (!tab) {
-    tab = await chrome.tabs.create({ url: DASHBOARD_URL, active: false });
-    createdTempTab = true;
-  }
+  try {
+    // Sections often share one endpoint; fetch each URL once.
+    const responses = new Map();
+    const load = (url) => {
+      if (!responses.has(url)) responses.set(url, fetchDashboardJson(url, signal));
+      return responses.get(url);
+    };
 
-  if (!tab?.id) {
-    const error = { at: new Date().toISOString(), reason, code: "tab_create_failed" };
-    await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
-    return { ok: false, error };
-  }
+    let balance = { raw: null, amount: null };
+    if (api.balance) {
+      const amount = toFiniteNumber(readPath(await load(api.balance.url), api.balance.path));
+      if (amount != null) balance = { raw: `$${amount}`, amount };
+    }
 
-  try {
-    if (createdTempTab) {
-      try {
-        await installTempTabLightModeRule(tab.id);
-      } catch {
-        // ignore rule install failure, continue with normal mode
+    const subscriptions = [];
+    if (api.subscriptions) {
+      const list = readPath(await load(api.subscriptions.url), api.subscriptions.path);
+      for (const item of Array.isArray(list) ? list : []) {
+        subscriptions.push(mapApiSubscription(item, api.subscriptions.fields));
       }
     }
 
-    await waitForTabUrl(tab.id, /^https:\/\/(www\.)?right\.codes\/dashboard/i);
-    await sleep(120);
-
-    const result = await extractDashboardWithResultRetry(tab.id);
-    if (!result || !result.ok) {
-      const detail = result?.error || result;
-      const detailText = String(detail || "").toLowerCase();
-      if (detailText.includes("too_many_requests") || detailText.includes("too many requests")) {
-        nextAllowedRefreshAt = Math.max(nextAllowedRefreshAt, Date.now() + REMOTE_RATE_LIMIT_COOLDOWN_MS);
+    const totals = {};
+    if (api.totals) {
+      const body = readPath(await load(api.totals.url), api.totals.path);
+      for (const [label, path] of Object.entries(api.totals.fields)) {
+        const value = readPath(body, path);
+        if (value != null) totals[label] = String(value);
       }
+    }
 
-      const error = {
-        at: new Date().toISOString(),
-        reason,
-        code: "extract_failed",
-        detail
-      };
-      await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
-      return { ok: false, error };
+    if (!balance.raw && subscriptions.length === 0 && Object.keys(totals).length === 0) {
+      return { ok: false, error: "dashboard_data_not_ready", fetchedAt };
     }
 
-    await chrome.storage.local.set({ [DATA_KEY]: result, [LAST_ERROR_KEY]: null });
-    return { ok: true, data: result };
+    return {
+      ok: true,
+      fetchedAt,
+      url: DASHBOARD_URL,
+      title: null,
+      balance,
+      subscriptions,
+      totals,
+      extraction: { schemaVersion: schema.version, fallbacks: [] }
+    };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err), fetchedAt };
+  }
+}
+
+function isTooManyRequests(detail) {
+  const detailText = String(detail || "").toLowerCase();
+  return detailText.includes("too_many_requests") || detailText.includes("too many requests");
+}
+
+async function getRefreshState() {
+  const stored = await chrome.storage.session.get({ [REFRESH_STATE_KEY]: null });
+  return { ...DEFAULT_REFRESH_STATE, ...(stored[REFRESH_STATE_KEY] || {}) };
+}
+
+async function patchRefreshState(patch) {
+  const state = { ...(await getRefreshState()), ...patch };
+  await chrome.storage.session.set({ [REFRESH_STATE_KEY]: state });
+  return state;
+}
+
+// Which failures are worth backing off from: retrying sooner will not help with any of these.
+function backoffKind(error) {
+  if (error?.code !== "extract_failed") return null;
+  const detail = errorDetailText(error.detail).toLowerCase();
+  if (isTooManyRequests(detail)) return "too_many_requests";
+  if (detail.includes("auth_required")) return "auth_required";
+  return "extract_failed";
+}
+
+function backoffDelayMs(failures, kind) {
+  const base = kind === "too_many_requests" ? REMOTE_RATE_LIMIT_COOLDOWN_MS : BACKOFF_BASE_MS;
+  const delay = Math.min(BACKOFF_MAX_MS, base * 2 ** Math.max(0, failures - 1));
+  const jittered = delay * (1 - BACKOFF_JITTER + Math.random() * 2 * BACKOFF_JITTER);
+  return Math.round(kind === "too_many_requests" ? Math.max(REMOTE_RATE_LIMIT_COOLDOWN_MS, jittered) : jittered);
+}
+
+async function settleRefreshState(result) {
+  const state = await getRefreshState();
+  const patch = { lockedUntil: 0 };
+  const kind = result?.ok ? null : backoffKind(result?.error);
+
+  if (result?.ok) {
+    Object.assign(patch, { failures: 0, backoffUntil: 0, lastFailure: null });
+  } else if (kind) {
+    const now = Date.now();
+    const failures = state.failures + 1;
+    Object.assign(patch, { failures, backoffUntil: now + backoffDelayMs(failures, kind), lastFailure: kind });
+    if (kind === "too_many_requests") patch.nextAllowedAt = Math.max(state.nextAllowedAt, now + REMOTE_RATE_LIMIT_COOLDOWN_MS);
+  }
+
+  await patchRefreshState(patch);
+}
+
+async function getAuthState() {
+  const stored = await chrome.storage.local.get({ [AUTH_STATE_KEY]: null });
+  return stored[AUTH_STATE_KEY];
+}
+
+// Keeps the last snapshot but flags it: the numbers are whatever they were when the session expired.
+async function markLoggedOut() {
+  const stored = await chrome.storage.local.get({ [AUTH_STATE_KEY]: null, [DATA_KEY]: null });
+  const auth = stored[AUTH_STATE_KEY] || { since: new Date().toISOString(), loginTabId: null };
+  const patch = { [AUTH_STATE_KEY]: auth };
+  const data = stored[DATA_KEY];
+  if (data && !data.staleSince) patch[DATA_KEY] = { ...data, staleSince: auth.since };
+  await chrome.storage.local.set(patch);
+}
+
+async function startRelogin() {
+  const schema = await getExtractSchema();
+  const url = new URL(schema.patterns?.loginPath || "/login", DASHBOARD_URL).href;
+  const tab = await chrome.tabs.create({ url, active: true });
+  if (typeof tab?.id !== "number") return { ok: false, error: { code: "tab_create_failed" } };
+  try {
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch {
+    // ignore
+  }
+
+  const now = new Date().toISOString();
+  const auth = await getAuthState();
+  await chrome.storage.local.set({
+    [AUTH_STATE_KEY]: { since: auth?.since || now, loginTabId: tab.id, loginStartedAt: now }
+  });
+  return { ok: true, tabId: tab.id };
+}
+
+async function completeRelogin(tabId) {
+  const auth = await getAuthState();
+  if (!auth || auth.loginTabId !== tabId) return;
+  await chrome.storage.local.set({ [AUTH_STATE_KEY]: { ...auth, loginTabId: null } });
+  // The login tab is on the dashboard now, so the refresh reads it instead of opening a temp tab.
+  await runCoalescedRefresh("relogin");
+}
+
+async function abandonRelogin(tabId) {
+  const auth = await getAuthState();
+  if (auth?.loginTabId === tabId) await chrome.storage.local.set({ [AUTH_STATE_KEY]: { ...auth, loginTabId: null } });
+}
+
+function refreshRunSummary(run) {
+  if (!run) return null;
+  const { id, reason, startedAt, stages, outcome } = run;
+  return { id, reason, startedAt, stages, outcome, cancelling: run.controller.signal.aborted && !outcome };
+}
+
+function broadcastRefreshRun(run) {
+  const message = { type: "rcdm_progress", run: refreshRunSummary(run) };
+  for (const port of progressPorts) {
+    try {
+      port.postMessage(message);
+    } catch {
+      progressPorts.delete(port);
+    }
+  }
+}
+
+// Stages: api, open_tab, reuse_tab, wait_url, extract { attempt, maxAttempts }, retry { reason }, save.
+function reportProgress(run, stage, detail = {}) {
+  if (!run) return;
+  run.stages.push({ stage, at: Date.now(), ...detail });
+  broadcastRefreshRun(run);
+}
+
+function cancelRefresh(runId) {
+  const run = activeRefreshRun;
+  if (!run || run.id !== runId || run.controller.signal.aborted) return false;
+  run.controller.abort(new Error("cancelled"));
+  broadcastRefreshRun(run);
+  return true;
+}
+
+function refreshLogEntry(run, result) {
+  const count = (stage) => run.stages.filter((s) => s.stage === stage).length;
+  const error = result?.ok ? null : result?.error || { code: "refresh_exception" };
+  return {
+    id: run.id,
+    at: new Date(run.startedAt).toISOString(),
+    reason: run.reason,
+    strategy: run.strategy || null,
+    fallbackFrom: run.fallbackFrom || null,
+    durationMs: Date.now() - run.startedAt,
+    attempts: count("extract"),
+    retries: count("retry"),
+    outcome: !error ? "ok" : error.code === "cancelled" ? "cancelled" : "failed",
+    code: error?.code || null,
+    detail: error ? errorDetailText(error.detail).slice(0, 200) || null : null,
+    diagnostics: run.diagnostics || null
+  };
+}
+
+// Refreshes hold the lock, so entries never race each other.
+// For triggers with nobody to answer (shortcut, context menu): a refresh that threw still reaches the refresh log
+// and the popup's error line instead of disappearing as an unhandled rejection.
+async function recordRefreshException(reason, err) {
+  const at = new Date().toISOString();
+  const detail = String(err?.message || err);
+  try {
+    await chrome.storage.local.set({ [LAST_ERROR_KEY]: { at, reason, code: "refresh_exception", detail } });
+    await appendRefreshLog({
+      id: crypto.randomUUID(),
+      at,
+      reason,
+      strategy: null,
+      fallbackFrom: null,
+      durationMs: 0,
+      attempts: 0,
+      retries: 0,
+      outcome: "failed",
+      code: "refresh_exception",
+      detail: detail.slice(0, 200),
+      diagnostics: null
+    });
+  } catch {
+    // ignore: storage itself is failing
+  }
+}
+
+async function appendRefreshLog(entry) {
+  const stored = await chrome.storage.local.get({ [REFRESH_LOG_KEY]: [] });
+  const log = Array.isArray(stored[REFRESH_LOG_KEY]) ? stored[REFRESH_LOG_KEY] : [];
+  await chrome.storage.local.set({ [REFRESH_LOG_KEY]: [entry, ...log].slice(0, REFRESH_LOG_MAX) });
+}
+
+// Taken for every failed tab refresh (an empty or unparsable page, a login redirect, a timeout); the page structure
+// is what a bug report needs whichever way it failed.
+async function captureExtractDiagnostics(tabId) {
+  try {
+    const injected = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: collectExtractDiagnostics,
+      args: [await getExtractSchema()]
+    });
+    return injected?.[0]?.result || null;
   } catch (err) {
+    return { error: String(err?.message || err) };
+  }
+}
+
+// Plain text for pasting into an issue: versions, settings that change how scraping works and the refresh log.
+// Snapshots and errors' raw payloads are left out; the log holds codes and page structure only.
+async function buildBugReport() {
+  const prefs = await getPrefs();
+  const schema = await getExtractSchema();
+  const stored = await chrome.storage.local.get({ [REFRESH_LOG_KEY]: [], [SCHEMA_KEY]: null });
+  const session = await chrome.storage.session.get({ [REFRESH_STATE_KEY]: null });
+  const report = {
+    extension: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    generatedAt: new Date().toISOString(),
+    schema: { version: schema.version, imported: Boolean(stored[SCHEMA_KEY]), api: Boolean(schema.api) },
+    prefs: {
+      refreshStrategy: prefs.refreshStrategy,
+      scheduleMode: prefs.scheduleMode,
+      passiveCapture: prefs.passiveCapture,
+      captureDiagnostics: prefs.captureDiagnostics,
+      language: prefs.language
+    },
+    refreshState: session[REFRESH_STATE_KEY],
+    refreshLog: (Array.isArray(stored[REFRESH_LOG_KEY]) ? stored[REFRESH_LOG_KEY] : []).slice(0, BUG_REPORT_LOG_ENTRIES)
+  };
+  return `### Right Code Dashboard Mini bug report\n\n\`\`\`json\n${JSON.stringify(report, null, 2)}\n\`\`\`\n`;
+}
+
+function cancelledResult(reason) {
+  return { ok: false, error: { at: new Date().toISOString(), reason, code: "cancelled" } };
+}
+
+function runCoalescedRefresh(reason) {
+  if (!inFlightRefreshPromise) {
+    inFlightRefreshPromise = refreshDashboardData({ reason }).finally(() => {
+      inFlightRefreshPromise = null;
+    });
+  }
+  return inFlightRefreshPromise;
+}
+
+async function refreshDashboardData({ reason }) {
+  // A passive capture is saving a snapshot; checked before any await, see handlePassiveCapture.
+  if (passiveCaptureInFlight) return { ok: false, error: { code: "busy" } };
+  const now = Date.now();
+  const state = await getRefreshState();
+  if (now < state.lockedUntil) return { ok: false, error: { code: "busy" } };
+
+  // Only a manual refresh or the re-login flow may try again while signed out.
+  if (AUTOMATIC_REFRESH_REASONS.has(reason) && (await getAuthState())) {
+    return { ok: false, error: { code: "logged_out" } };
+  }
+
+  // Not written to LAST_ERROR_KEY: the failure that caused the backoff is the more useful thing to show.
+  if (AUTOMATIC_REFRESH_REASONS.has(reason) && now < state.backoffUntil) {
+    return {
+      ok: false,
+      error: { code: "backed_off", detail: `backoff_until_${new Date(state.backoffUntil).toISOString()}` }
+    };
+  }
+
+  if (now < state.nextAllowedAt) {
     const error = {
       at: new Date().toISOString(),
       reason,
-      code: "refresh_exception",
-      detail: String(err?.message || err)
+      code: "rate_limited_local",
+      detail: `cooldown_until_${new Date(state.nextAllowedAt).toISOString()}`
     };
     await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
     return { ok: false, error };
+  }
+
+  await patchRefreshState({
+    lockedUntil: now + REFRESH_LOCK_TTL_MS,
+    nextAllowedAt: now + MIN_REFRESH_GAP_MS,
+    lastAttemptAt: now
+  });
+
+  const run = { id: crypto.randomUUID(), reason, startedAt: now, stages: [], outcome: null, controller: new AbortController() };
+  activeRefreshRun = run;
+  broadcastRefreshRun(run);
+
+  let result = null;
+  try {
+    result = await refreshWithStrategy(reason, run);
   } finally {
-    if (createdTempTab) {
+    activeRefreshRun = null;
+    run.outcome = result?.ok ? "ok" : result?.error?.code || "refresh_exception";
+    broadcastRefreshRun(run);
+    await settleRefreshState(result);
+    await appendRefreshLog(refreshLogEntry(run, result));
+  }
+  if (backoffKind(result?.error) === "auth_required") await markLoggedOut();
+  if (result?.ok) void dispatchWebhookEvent("snapshot");
+  return result;
+}
+
+async function refreshWithStrategy(reason, run) {
+  const hasPerm = await hasRightCodesPermission();
+  if (!hasPerm) {
+    const error = { at: new Date().toISOString(), reason, code: "missing_host_permission" };
+    await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
+    return { ok: false, error };
+  }
+
+  const prefs = await getPrefs();
+
+  let apiFailure = null;
+  const schema = prefs.refreshStrategy === "api" ? await getExtractSchema() : null;
+  // Without an api section (e.g. the imported schema was reset) there is nothing to try; go straight to the tab.
+  if (schema?.api) {
+    run.strategy = "api";
+    reportProgress(run, "api");
+    const result = await fetchDashboardViaApi(schema, run.controller.signal);
+    if (run.controller.signal.aborted) return cancelledResult(reason);
+    if (result.ok) {
+      const data = { ...result, strategy: "api" };
+      reportProgress(run, "save");
+      await saveSnapshot(data);
+      return { ok: true, data };
+    }
+
+    // Being rate limited is not an API problem; opening a tab now would only hit the limit again.
+    if (isTooManyRequests(result.error)) {
+      const error = { at: new Date().toISOString(), reason, code: "extract_failed", strategy: "api", detail: result.error };
+      await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
+      return { ok: false, error };
+    }
+    apiFailure = result.error;
+  }
+
+  return refreshViaTab({ reason, prefs, apiFailure, run });
+}
+
+async function refreshViaTab({ reason, prefs, apiFailure, run }) {
+  const signal = run.controller.signal;
+  if (run.strategy === "api") run.fallbackFrom = "api";
+  run.strategy = "tab";
+  let tab = await findExistingDashboardTab();
+  let createdTempTab = false;
+
+  if (tab) {
+    reportProgress(run, "reuse_tab");
+  } else {
+    reportProgress(run, "open_tab");
+    tab = await chrome.tabs.create({ url: DASHBOARD_URL, active: false });
+    createdTempTab = true;
+  }
+
+  if (!tab?.id) {
+    const error = { at: new Date().toISOString(), reason, code: "tab_create_failed" };
+    await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
+    return { ok: false, error };
+  }
+
+  // Runs once: on cancel right away (so the tab and rule go even while an injected script is still running), and
+  // otherwise from the finally block below.
+  let cleanup = null;
+  const cleanUpTempTab = () => {
+    cleanup ??= (async () => {
+      if (!createdTempTab) return;
       try {
         await clearTempTabLightModeRule();
       } catch {
         // ignore
       }
-    }
+      if (prefs.closeTempTab || signal.aborted) {
+        try {
+          await chrome.tabs.remove(tab.id);
+        } catch {
+          // ignore
+        }
+      }
+    })();
+    return cleanup;
+  };
+  signal.addEventListener("abort", cleanUpTempTab, { once: true });
 
-    if (createdTempTab && prefs.closeTempTab) {
+  try {
+    if (createdTempTab) {
       try {
-        await chrome.tabs.remove(tab.id);
+        await installTempTabLightModeRule(tab.id);
       } catch {
-        // ignore
+        // ignore rule install failure, continue with normal mode
       }
     }
+
+    reportProgress(run, "wait_url");
+    await waitForTabUrl(tab.id, DASHBOARD_URL_PATTERN, undefined, signal);
+    await sleep(120, signal);
+
+    const result = await extractDashboardWithResultRetry(tab.id, undefined, run);
+    if (signal.aborted) return cancelledResult(reason);
+    if (!result || !result.ok) {
+      const detail = result?.error || result;
+      if (prefs.captureDiagnostics) run.diagnostics = await captureExtractDiagnostics(tab.id);
+      const error = {
+        at: new Date().toISOString(),
+        reason,
+        code: "extract_failed",
+        detail
+      };
+      await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
+      return { ok: false, error };
+    }
+
+    const data = { ...result, strategy: "tab" };
+    if (apiFailure) data.fallbackFrom = { strategy: "api", error: apiFailure };
+    reportProgress(run, "save");
+    await saveSnapshot(data);
+    return { ok: true, data };
+  } catch (err) {
+    // A cancelled refresh is not a failure worth keeping in LAST_ERROR_KEY.
+    if (signal.aborted) return cancelledResult(reason);
+    if (prefs.captureDiagnostics) run.diagnostics = await captureExtractDiagnostics(tab.id);
+    const error = {
+      at: new Date().toISOString(),
+      reason,
+      code: "refresh_exception",
+      detail: String(err?.message || err)
+    };
+    await chrome.storage.local.set({ [LAST_ERROR_KEY]: error });
+    return { ok: false, error };
+  } finally {
+    signal.removeEventListener("abort", cleanUpTempTab);
+    await cleanUpTempTab();
+  }
+}
+
+async function readExternalSnapshot() {
+  const stored = await chrome.storage.local.get({
+    [DATA_KEY]: null,
+    [LAST_ERROR_KEY]: null,
+    [FORECAST_KEY]: null,
+    [AUTH_STATE_KEY]: null
+  });
+  return toExternalSnapshot({
+    data: stored[DATA_KEY],
+    lastError: stored[LAST_ERROR_KEY],
+    forecast: stored[FORECAST_KEY],
+    authState: stored[AUTH_STATE_KEY]
+  });
+}
+
+async function readExternalHistory(request) {
+  const { sinceMs = 0, untilMs = Infinity, subscription = null } = request;
+  const limit = request.limit ?? EXTERNAL_HISTORY_DEFAULT_LIMIT;
+  if (typeof sinceMs !== "number" || typeof untilMs !== "number") return externalError("invalid_request", "sinceMs/untilMs");
+  if (!Number.isInteger(limit) || limit < 1 || limit > EXTERNAL_HISTORY_MAX_LIMIT) {
+    return externalError("invalid_request", `limit must be 1-${EXTERNAL_HISTORY_MAX_LIMIT}`);
+  }
+  if (subscription != null && typeof subscription !== "string") return externalError("invalid_request", "subscription");
+
+  const stored = await chrome.storage.local.get({ [HISTORY_KEY]: [] });
+  const history = Array.isArray(stored[HISTORY_KEY]) ? stored[HISTORY_KEY] : [];
+  const matching = history
+    .filter((p) => p.t >= sinceMs && p.t <= untilMs)
+    .map(toExternalHistoryPoint)
+    .map((p) => (subscription == null ? p : { ...p, subscriptions: p.subscriptions.filter((s) => s.key === subscription) }));
+  // The newest points win when the range holds more than `limit`.
+  return {
+    ok: true,
+    api: EXTERNAL_API_VERSION,
+    points: matching.slice(-limit),
+    truncated: matching.length > limit
+  };
+}
+
+async function handleExternalRequest(request, sender) {
+  const prefs = await getPrefs();
+  if (!isSenderAllowed(prefs.externalApi, sender)) return externalError("forbidden");
+  if (!request || typeof request !== "object") return externalError("invalid_request");
+  if (request.api !== EXTERNAL_API_VERSION) return externalError("unsupported_version", `supported: ${EXTERNAL_API_VERSION}`);
+
+  if (request.op === "getSnapshot") {
+    return { ok: true, api: EXTERNAL_API_VERSION, snapshot: await readExternalSnapshot() };
+  }
+
+  if (request.op === "getHistory") return readExternalHistory(request);
+
+  if (request.op === "refresh") {
+    // Joining a refresh that is already running costs nothing; starting one is limited.
+    if (!inFlightRefreshPromise) {
+      const retryAt = ((await getRefreshState()).lastAttemptAt || 0) + EXTERNAL_REFRESH_MIN_INTERVAL_MS;
+      if (Date.now() < retryAt) return externalError("too_many_requests", `retry_after_${new Date(retryAt).toISOString()}`);
+    }
+    const result = await runCoalescedRefresh("external");
+    if (!result?.ok) return externalError(result?.error?.code || "refresh_failed", errorDetailText(result?.error?.detail) || null);
+    return { ok: true, api: EXTERNAL_API_VERSION, snapshot: await readExternalSnapshot() };
+  }
+
+  return externalError("unknown_op", request.op);
+}
+
+function dropExternalSubscriber(port) {
+  externalSubscribers.delete(port);
+  try {
+    port.disconnect();
+  } catch {
+    // ignore
+  }
+}
+
+async function broadcastExternalSnapshot() {
+  if (!externalSubscribers.size) return;
+  const prefs = await getPrefs();
+  const message = { ok: true, api: EXTERNAL_API_VERSION, event: "snapshot", snapshot: await readExternalSnapshot() };
+  for (const port of externalSubscribers) {
+    // The allowlist may have changed since the port was opened.
+    if (!isSenderAllowed(prefs.externalApi, port.sender)) {
+      dropExternalSubscriber(port);
+      continue;
+    }
+    try {
+      port.postMessage(message);
+    } catch {
+      externalSubscribers.delete(port);
+    }
+  }
+}
+
+async function dropRevokedSubscribers() {
+  if (!externalSubscribers.size) return;
+  const prefs = await getPrefs();
+  for (const port of externalSubscribers) {
+    if (!isSenderAllowed(prefs.externalApi, port.sender)) dropExternalSubscriber(port);
+  }
+}
+
+function withWebhookStorage(fn) {
+  const run = webhookStorageChain.then(fn);
+  webhookStorageChain = run.catch(() => {});
+  return run;
+}
+
+function appendWebhookLog(entry) {
+  return withWebhookStorage(async () => {
+    const stored = await chrome.storage.local.get({ [WEBHOOK_LOG_KEY]: [] });
+    const log = Array.isArray(stored[WEBHOOK_LOG_KEY]) ? stored[WEBHOOK_LOG_KEY] : [];
+    await chrome.storage.local.set({ [WEBHOOK_LOG_KEY]: [entry, ...log].slice(0, WEBHOOK_LOG_MAX) });
+  });
+}
+
+async function scheduleWebhookRetry(queue) {
+  if (!queue.length) {
+    await chrome.alarms.clear(WEBHOOK_RETRY_ALARM);
+    return;
+  }
+  chrome.alarms.create(WEBHOOK_RETRY_ALARM, { when: Math.min(...queue.map((d) => d.nextAt)) });
+}
+
+function enqueueWebhookRetry(delivery) {
+  return withWebhookStorage(async () => {
+    const stored = await chrome.storage.local.get({ [WEBHOOK_QUEUE_KEY]: [] });
+    const queue = [...stored[WEBHOOK_QUEUE_KEY], delivery];
+    await chrome.storage.local.set({ [WEBHOOK_QUEUE_KEY]: queue });
+    await scheduleWebhookRetry(queue);
+  });
+}
+
+function takeDueWebhookRetries(nowMs = Date.now()) {
+  return withWebhookStorage(async () => {
+    const stored = await chrome.storage.local.get({ [WEBHOOK_QUEUE_KEY]: [] });
+    const due = stored[WEBHOOK_QUEUE_KEY].filter((d) => d.nextAt <= nowMs);
+    const rest = stored[WEBHOOK_QUEUE_KEY].filter((d) => d.nextAt > nowMs);
+    await chrome.storage.local.set({ [WEBHOOK_QUEUE_KEY]: rest });
+    await scheduleWebhookRetry(rest);
+    return due;
+  });
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+async function postWebhook(hook, delivery) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "Content-Type": "application/json",
+    "X-RCDM-Event": delivery.event,
+    "X-RCDM-Delivery": delivery.id,
+    "X-RCDM-Timestamp": timestamp
+  };
+  if (hook.secret) headers["X-RCDM-Signature"] = `sha256=${await signWebhookBody(hook.secret, timestamp, delivery.body)}`;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const res = await fetch(hook.url, {
+      method: "POST",
+      headers,
+      body: delivery.body,
+      credentials: "omit",
+      cache: "no-store",
+      signal: controller.signal
+    });
+    if (res.ok) return { ok: true, status: res.status };
+    return { ok: false, status: res.status, code: "http_error", retryable: isRetryableStatus(res.status) };
+  } catch (err) {
+    const code = err?.name === "AbortError" ? "timeout" : "network_error";
+    return { ok: false, status: null, code, detail: String(err?.message || err), retryable: true };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// One attempt at one delivery. The hook is looked up again each time, so edits (or removal) apply to retries.
+// Returns the log entry.
+async function attemptWebhookDelivery(delivery) {
+  const hook = (await getWebhooks()).find((h) => h.id === delivery.hookId);
+  const attempt = delivery.attempt + 1;
+  const entry = {
+    at: new Date().toISOString(),
+    deliveryId: delivery.id,
+    hookId: delivery.hookId,
+    hookName: hook?.name || delivery.hookName || "",
+    url: hook?.url || delivery.url,
+    event: delivery.event,
+    attempt,
+    ok: false,
+    status: null,
+    code: null,
+    detail: null,
+    nextRetryAt: null
+  };
+
+  let outcome;
+  if (!hook) {
+    outcome = { ok: false, code: "webhook_removed" };
+  } else if (!(await chrome.permissions.contains({ origins: [webhookOriginPattern(hook.url)] }))) {
+    // Asking needs a user gesture, so only the options page can fix this.
+    outcome = { ok: false, code: "missing_host_permission" };
+  } else {
+    outcome = await postWebhook(hook, delivery);
+  }
+  Object.assign(entry, { ok: outcome.ok, status: outcome.status ?? null, code: outcome.code ?? null, detail: outcome.detail ?? null });
+
+  const delay = WEBHOOK_RETRY_DELAYS_MS[attempt - 1];
+  // A test is answered in the options page right away; retrying it later would only clutter the log.
+  if (!outcome.ok && outcome.retryable && delay != null && delivery.event !== "test") {
+    const jittered = Math.round(delay * (1 - BACKOFF_JITTER + Math.random() * 2 * BACKOFF_JITTER));
+    entry.nextRetryAt = new Date(Date.now() + jittered).toISOString();
+    await enqueueWebhookRetry({ ...delivery, attempt, nextAt: Date.now() + jittered });
+  }
+
+  await appendWebhookLog(entry);
+  return entry;
+}
+
+// The body is rendered once, so every retry sends the same payload (and the receiver can dedupe on X-RCDM-Delivery).
+async function dispatchWebhookEvent(event, extra = {}, { hookId = null } = {}) {
+  try {
+    const hooks = (await getWebhooks()).filter((h) =>
+      hookId ? h.id === hookId : h.enabled && h.events.includes(event)
+    );
+    if (!hooks.length) return [];
+    const context = { event, sentAt: new Date().toISOString(), snapshot: await readExternalSnapshot(), ...extra };
+    const entries = [];
+    for (const hook of hooks) {
+      const delivery = {
+        id: crypto.randomUUID(),
+        hookId: hook.id,
+        hookName: hook.name,
+        url: hook.url,
+        event,
+        body: webhookBody(hook, context),
+        attempt: 0
+      };
+      entries.push(await attemptWebhookDelivery(delivery));
+    }
+    return entries;
+  } catch (err) {
+    await appendWebhookLog({
+      at: new Date().toISOString(),
+      event,
+      ok: false,
+      code: "dispatch_exception",
+      detail: String(err?.message || err)
+    });
+    return [];
   }
 }
 
-// Runs inside right.codes/dashboard page context.
-async function extractRightCodesDashboard() {
+async function processWebhookRetries() {
+  for (const delivery of await takeDueWebhookRetries()) await attemptWebhookDelivery(delivery);
+}
+
+// Shortcuts have no page to write the clipboard from, so the copy goes through a short-lived offscreen document.
+async function copySummaryToClipboard() {
+  const prefs = await getPrefs();
+  await setLanguage(prefs.language);
+  setDisplayTimeZone(prefs.displayTimeZone);
+  const stored = await chrome.storage.local.get({ [DATA_KEY]: null, [HISTORY_KEY]: [] });
+  const history = Array.isArray(stored[HISTORY_KEY]) ? stored[HISTORY_KEY] : [];
+  const text = buildSummaryText(stored[DATA_KEY], history);
+
+  let ok = false;
+  try {
+    if (!(await chrome.offscreen.hasDocument())) {
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ["CLIPBOARD"],
+        justification: "Copy the quota summary from a keyboard shortcut"
+      });
+    }
+    ok = Boolean((await chrome.runtime.sendMessage({ type: "rcdm_offscreen_copy", text }))?.ok);
+  } catch {
+    // reported below
+  } finally {
+    try {
+      await chrome.offscreen.closeDocument();
+    } catch {
+      // ignore
+    }
+  }
+
+  // A shortcut gives no other feedback.
+  await chrome.notifications.create(COPY_NOTICE_ID, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+    title: t("extName"),
+    message: ok ? t("summaryCopiedNotice") : t("summaryCopyFailed"),
+    priority: 0
+  });
+}
+
+async function syncContextMenus() {
+  const prefs = await getPrefs();
+  await setLanguage(prefs.language);
+  await chrome.contextMenus.removeAll();
+  for (const item of CONTEXT_MENU_ITEMS) {
+    chrome.contextMenus.create({ id: item.id, title: t(item.message), contexts: ["action"] });
+  }
+}
+
+async function openDashboardTab(disposition = "newForegroundTab") {
+  if (disposition === "currentTab") {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.id != null) {
+      await chrome.tabs.update(tab.id, { url: DASHBOARD_URL });
+      return;
+    }
+  }
+  await chrome.tabs.create({ url: DASHBOARD_URL, active: disposition !== "newBackgroundTab" });
+}
+
+// Omnibox descriptions are XML; names come from the page, so everything is escaped.
+function omniboxEscape(text) {
+  return String(text ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+async function omniboxSuggestions(text) {
+  const prefs = await getPrefs();
+  await setLanguage(prefs.language);
+  setDisplayTimeZone(prefs.displayTimeZone);
+  const stored = await chrome.storage.local.get({ [DATA_KEY]: null });
+  const data = stored[DATA_KEY];
+  if (!data) return { defaultSuggestion: t("omniboxNoData"), suggestions: [] };
+
+  const stale = data.staleSince ? ` <dim>${omniboxEscape(t("staleTag"))}</dim>` : "";
+  const defaultSuggestion = `${omniboxEscape(
+    t("omniboxDefault", [data.balance?.raw || "—", formatClock(data.fetchedAt)])
+  )}${stale}`;
+
+  const query = text.trim().toLowerCase();
+  const seen = new Set();
+  const suggestions = [];
+  for (const sub of Array.isArray(data.subscriptions) ? data.subscriptions : []) {
+    const name = sub.name || t("unnamedSubscription");
+    // `content` is what the omnibox shows for the highlighted row; it has to be unique.
+    if (seen.has(name) || (query && !name.toLowerCase().includes(query))) continue;
+    seen.add(name);
+    const detail = [sub.quota?.raw || "—", isQuotaDepleted(sub) ? t("summaryDepleted").trim() : ""].filter(Boolean).join(" ");
+    suggestions.push({
+      content: name,
+      description: `<match>${omniboxEscape(name)}</match> <dim>${omniboxEscape(detail)}</dim>${stale}`
+    });
+  }
+  return { defaultSuggestion, suggestions };
+}
+
+// Runs inside right.codes/dashboard page context. Must stay self-contained: everything it needs comes in via `schema`.
+async function extractRightCodesDashboard(schema) {
   const fetchedAt = new Date().toISOString();
 
   const normalize = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+  const containers = schema?.containers || {};
+  const labels = schema?.labels || {};
+  const patterns = schema?.patterns || {};
+  const useHeuristics = schema?.fallbacks?.textHeuristics !== false;
+  const fallbacksUsed = [];
 
   async function waitFor(getEl, { timeoutMs = 15_000, intervalMs = 250 } = {}) {
     const startedAt = Date.now();
@@ -274,131 +1940,243 @@ async function extractRightCodesDashboard() {
     return null;
   }
 
+  // Selectors come from a user-importable schema, so a broken one must not abort the whole extraction.
+  function queryFirst(root, selectors) {
+    for (const selector of selectors || []) {
+      try {
+        const el = root?.querySelector(selector);
+        if (el) return el;
+      } catch {
+        // invalid selector
+      }
+    }
+    return null;
+  }
+
+  function queryAll(root, selectors) {
+    for (const selector of selectors || []) {
+      try {
+        const els = root?.querySelectorAll(selector);
+        if (els?.length) return Array.from(els);
+      } catch {
+        // invalid selector
+      }
+    }
+    return [];
+  }
+
+  function matchFirst(text, sources) {
+    for (const source of sources || []) {
+      try {
+        const m = text.match(new RegExp(source));
+        if (m) return m;
+      } catch {
+        // invalid pattern
+      }
+    }
+    return null;
+  }
+
+  const includesAny = (text, needles) => (needles || []).some((n) => text.includes(String(n).toLowerCase()));
+  const isLabel = (text, key) => (labels[key] || []).some((l) => normalize(l) === text);
+  const canonicalLabel = (text) => {
+    for (const alternatives of Object.values(labels)) {
+      if (alternatives.some((l) => normalize(l) === text)) return alternatives[0];
+    }
+    return text;
+  };
+
+  // Deepest elements whose whole text is exactly one of the label alternatives.
+  function findLabelElements(root, key) {
+    const found = [];
+    for (const el of root ? Array.from(root.querySelectorAll("*")) : []) {
+      const text = normalize(el.textContent);
+      if (!isLabel(text, key)) continue;
+      if (Array.from(el.children).some((child) => normalize(child.textContent) === text)) continue;
+      found.push(el);
+    }
+    return found;
+  }
+
+  function valueElementFor(labelEl) {
+    return labelEl.nextElementSibling || labelEl.parentElement?.nextElementSibling || null;
+  }
+
+  function heuristicSubscriptionCards(root) {
+    const anchors = findLabelElements(root, "remainingQuota");
+    const countAnchors = (el) => anchors.filter((a) => el.contains(a)).length;
+    const cards = [];
+
+    for (const anchor of anchors) {
+      let card = anchor.parentElement;
+      while (card && card !== root && !(labels.expiresAt || []).some((l) => normalize(card.textContent).includes(l))) {
+        card = card.parentElement;
+      }
+      if (!card || card === root) continue;
+
+      // Climb to the widest ancestor that still holds only this card (so the title is included).
+      if (anchors.length > 1) {
+        while (card.parentElement && card.parentElement !== root && countAnchors(card.parentElement) === 1) {
+          card = card.parentElement;
+        }
+      } else if (card.parentElement && card.parentElement !== root) {
+        card = card.parentElement;
+      }
+
+      if (!cards.includes(card)) cards.push(card);
+    }
+    return cards;
+  }
+
+  function readSubscriptionCard(card) {
+    const byLabel = new Map();
+    const readValue = (key, valueEl) => {
+      if (!valueEl || byLabel.has(key)) return;
+      if (key === "endpoints") {
+        const endpoints = Array.from(valueEl.querySelectorAll("span[title]")).map((s) => ({
+          title: normalize(s.getAttribute("title"))
+        }));
+        byLabel.set(key, endpoints);
+      } else {
+        byLabel.set(key, normalize(valueEl.textContent));
+      }
+    };
+
+    for (const row of queryAll(card, containers.subscriptionRows)) {
+      const label = normalize(row.children?.[0]?.textContent);
+      if (!label) continue;
+      const key = Object.keys(labels).find((k) => isLabel(label, k));
+      if (key) readValue(key, row.children?.[1]);
+    }
+
+    if (!byLabel.size && useHeuristics) {
+      for (const key of ["endpoints", "remainingDays", "remainingQuota", "acquiredAt", "expiresAt", "resetStatus"]) {
+        const labelEl = findLabelElements(card, key)[0];
+        if (labelEl) readValue(key, valueElementFor(labelEl));
+      }
+      if (byLabel.size && !fallbacksUsed.includes("subscription_rows")) fallbacksUsed.push("subscription_rows");
+    }
+
+    if (!byLabel.size) return null;
+
+    const labelTexts = new Set(Object.values(labels).flat().map(normalize));
+    const name =
+      normalize(queryFirst(card, containers.subscriptionName)?.textContent) ||
+      normalize(card.querySelector("h1, h2, h3, h4")?.textContent) ||
+      (useHeuristics
+        ? Array.from(card.querySelectorAll("*"))
+            .filter((el) => !el.children.length)
+            .map((el) => normalize(el.textContent))
+            .find((text) => text && !labelTexts.has(text))
+        : "");
+
+    const usedPercentText = normalize(queryFirst(card, containers.usedPercentText)?.textContent);
+    const progress = queryFirst(card, containers.progress);
+    const usedPercent =
+      progress?.getAttribute("aria-valuenow") != null
+        ? Number(progress.getAttribute("aria-valuenow"))
+        : usedPercentText
+          ? Number(usedPercentText.replace("%", ""))
+          : null;
+
+    const remainingDaysRaw = byLabel.get("remainingDays");
+    const remainingDays = remainingDaysRaw ? Number(normalize(remainingDaysRaw).replace(/[^0-9.]/g, "")) : null;
+
+    const quotaRaw = byLabel.get("remainingQuota");
+    let quota = null;
+    if (typeof quotaRaw === "string") {
+      const m = matchFirst(quotaRaw, patterns.quota);
+      if (m) {
+        quota = { remaining: Number(m[1]), total: Number(m[2]), currency: "$", raw: quotaRaw };
+      } else {
+        quota = { raw: quotaRaw };
+      }
+    }
+
+    return {
+      name: name || null,
+      remainingDaysRaw: remainingDaysRaw || null,
+      remainingDays,
+      acquiredAt: byLabel.get("acquiredAt") || null,
+      expiresAt: byLabel.get("expiresAt") || null,
+      resetStatus: byLabel.get("resetStatus") || null,
+      resetPending: byLabel.has("resetStatus")
+        ? includesAny(String(byLabel.get("resetStatus")).toLowerCase(), patterns.resetPendingValues)
+        : null,
+      endpoints: byLabel.get("endpoints") || [],
+      quota,
+      usedPercentText: usedPercentText || null,
+      usedPercent
+    };
+  }
+
   try {
-    if (String(location.pathname || "").startsWith("/login")) {
+    const loginPath = patterns.loginPath || "/login";
+    if (String(location.pathname || "").startsWith(loginPath)) {
       return { ok: false, error: "auth_required", fetchedAt };
     }
 
     const bodyTextEarly = normalize(document.body?.innerText || document.body?.textContent || "").toLowerCase();
-    if (
-      bodyTextEarly.includes("too many requests") ||
-      bodyTextEarly.includes("查询请求过于频繁") ||
-      bodyTextEarly.includes("每分钟最多30次")
-    ) {
+    if (includesAny(bodyTextEarly, patterns.tooManyRequests)) {
       return { ok: false, error: "too_many_requests", fetchedAt };
     }
 
-    const main = await waitFor(() => document.querySelector("main, #root"), { timeoutMs: 20_000 });
+    const main = await waitFor(() => queryFirst(document, containers.main), { timeoutMs: 20_000 });
     if (!main) {
       const bodyTextLate = normalize(document.body?.innerText || document.body?.textContent || "").toLowerCase();
-      if (
-        bodyTextLate.includes("too many requests") ||
-        bodyTextLate.includes("查询请求过于频繁") ||
-        bodyTextLate.includes("每分钟最多30次")
-      ) {
+      if (includesAny(bodyTextLate, patterns.tooManyRequests)) {
         return { ok: false, error: "too_many_requests", fetchedAt };
       }
 
-      if (
-        String(location.pathname || "").startsWith("/login") ||
-        bodyTextLate.includes("使用 linux do 登录") ||
-        bodyTextLate.includes("还没有账号")
-      ) {
+      if (String(location.pathname || "").startsWith(loginPath) || includesAny(bodyTextLate, patterns.loginMarkers)) {
         return { ok: false, error: "auth_required", fetchedAt };
       }
 
       return { ok: false, error: "main_not_found", fetchedAt };
     }
 
-    const mainText = normalize((document.querySelector("main") || document.body || main).textContent);
-    const balanceMatch = mainText.match(/余额\s*[:：]\s*\$\s*([0-9.]+)/);
+    const contentRoot = document.querySelector("main") || document.body || main;
+    const mainText = normalize(contentRoot.textContent);
+    const balanceMatch = matchFirst(mainText, patterns.balance);
     const balance = {
       raw: balanceMatch ? `$${balanceMatch[1]}` : null,
       amount: balanceMatch ? Number(balanceMatch[1]) : null
     };
 
     // Subscriptions cards
-    const subGrid = await waitFor(() =>
-      document.querySelector(".mb-8 .grid.grid-cols-1.sm\\:grid-cols-2.lg\\:grid-cols-3")
-    );
-    const subscriptions = [];
-    if (subGrid) {
-      for (const card of Array.from(subGrid.children)) {
-        const name =
-          normalize(card.querySelector(".text-purple-500")?.textContent) ||
-          normalize(card.querySelector(".font-semibold")?.textContent);
-
-        const rows = card.querySelectorAll(".space-y-1.text-sm > div.flex.items-center.justify-between");
-        if (!rows?.length) continue;
-
-        const byLabel = new Map();
-        for (const row of rows) {
-          const label = normalize(row.children?.[0]?.textContent);
-          if (!label) continue;
-
-          const valueEl = row.children?.[1];
-          if (!valueEl) continue;
-
-          if (label === "可用端点") {
-            const endpoints = Array.from(valueEl.querySelectorAll("span[title]")).map((s) => ({
-              title: normalize(s.getAttribute("title"))
-            }));
-            byLabel.set(label, endpoints);
-          } else {
-            byLabel.set(label, normalize(valueEl.textContent));
-          }
-        }
-
-        const usedPercentText = normalize(card.querySelector(".mt-2 span.tabular-nums")?.textContent);
-        const progress = card.querySelector('[role="progressbar"]');
-        const usedPercent =
-          progress?.getAttribute("aria-valuenow") != null
-            ? Number(progress.getAttribute("aria-valuenow"))
-            : usedPercentText
-              ? Number(usedPercentText.replace("%", ""))
-              : null;
-
-        const remainingDaysRaw = byLabel.get("剩余天数");
-        const remainingDays = remainingDaysRaw ? Number(normalize(remainingDaysRaw).replace(/[^0-9.]/g, "")) : null;
-
-        const quotaRaw = byLabel.get("剩余额度");
-        let quota = null;
-        if (typeof quotaRaw === "string") {
-          const m = quotaRaw.match(/\$\s*([0-9.]+)\s*\/\s*\$\s*([0-9.]+)/);
-          if (m) {
-            quota = { remaining: Number(m[1]), total: Number(m[2]), currency: "$", raw: quotaRaw };
-          } else {
-            quota = { raw: quotaRaw };
-          }
-        }
+    const subGrid = await waitFor(() => queryFirst(document, containers.subscriptionGrid));
+    let cards = subGrid ? Array.from(subGrid.children) : [];
+    if (!cards.length && useHeuristics) {
+      cards = heuristicSubscriptionCards(contentRoot);
+      if (cards.length) fallbacksUsed.push("subscription_cards");
+    }
 
-        subscriptions.push({
-          name: name || null,
-          remainingDaysRaw: remainingDaysRaw || null,
-          remainingDays,
-          acquiredAt: byLabel.get("获得时间") || null,
-          expiresAt: byLabel.get("到期时间") || null,
-          resetStatus: byLabel.get("今日重置") || null,
-          endpoints: byLabel.get("可用端点") || [],
-          quota,
-          usedPercentText: usedPercentText || null,
-          usedPercent
-        });
-      }
+    const subscriptions = [];
+    for (const card of cards) {
+      const sub = readSubscriptionCard(card);
+      if (sub) subscriptions.push(sub);
     }
 
     // Totals cards
     const totals = {};
-    const totalsGrid = await waitFor(() =>
-      document.querySelector(".grid.grid-cols-1.sm\\:grid-cols-3.gap-4.mb-6")
-    );
+    const totalsGrid = await waitFor(() => queryFirst(document, containers.totalsGrid));
     if (totalsGrid) {
       for (const card of Array.from(totalsGrid.children)) {
-        const label = normalize(card.querySelector(".text-default-500.text-sm")?.textContent);
-        const value = normalize(card.querySelector('[class*="text-"]:not(.text-default-500)')?.textContent);
+        const label = normalize(queryFirst(card, containers.totalsLabel)?.textContent);
+        const value = normalize(queryFirst(card, containers.totalsValue)?.textContent);
         if (!label) continue;
-        totals[label] = value || null;
+        totals[canonicalLabel(label)] = value || null;
+      }
+    }
+
+    if (!Object.keys(totals).length && useHeuristics) {
+      for (const key of ["totalRequests", "totalTokens", "totalCost"]) {
+        const labelEl = findLabelElements(contentRoot, key)[0];
+        if (!labelEl) continue;
+        const value = normalize(valueElementFor(labelEl)?.textContent);
+        totals[labels[key][0]] = value || null;
       }
+      if (Object.keys(totals).length) fallbacksUsed.push("totals");
     }
 
     if (!balance?.raw && subscriptions.length === 0 && Object.keys(totals).length === 0) {
@@ -412,44 +2190,283 @@ async function extractRightCodesDashboard() {
       title: document.title,
       balance,
       subscriptions,
-      totals
+      totals,
+      extraction: { schemaVersion: schema?.version ?? null, fallbacks: fallbacksUsed }
     };
   } catch (err) {
     return { ok: false, error: String(err?.message || err), fetchedAt };
   }
 }
 
+// Runs inside the dashboard page after extraction found nothing. Self-contained like extractRightCodesDashboard.
+// Reports only structure: selector match counts, which labels exist and label-like texts. Digits are masked
+// and anything carrying a number, a currency sign or a token-like string is dropped, so no balance, usage figure
+// or key can end up in a bug report.
+function collectExtractDiagnostics(schema) {
+  const normalize = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+  const scrub = (s) => normalize(s).replace(/[0-9]/g, "#").slice(0, 80);
+  const isSafeText = (s) => s && s.length <= 40 && !/[0-9$¥￥]/.test(s) && !/[A-Za-z0-9_-]{16,}/.test(s);
+  const bodyText = normalize(document.body?.innerText || document.body?.textContent || "").toLowerCase();
+  const includesAny = (needles) => (needles || []).some((n) => bodyText.includes(String(n).toLowerCase()));
+
+  const selectors = {};
+  for (const [key, list] of Object.entries(schema?.containers || {})) {
+    selectors[key] = (list || []).map((selector) => {
+      try {
+        return { selector, count: document.querySelectorAll(selector).length };
+      } catch {
+        return { selector, count: null, invalid: true };
+      }
+    });
+  }
+
+  // Leaf texts on the page that equal a known label alternative.
+  const leafTexts = new Set(
+    Array.from(document.querySelectorAll("body *"))
+      .filter((el) => !el.children.length)
+      .map((el) => normalize(el.textContent))
+      .filter(Boolean)
+  );
+  const labels = {};
+  for (const [key, alternatives] of Object.entries(schema?.labels || {})) {
+    labels[key] = (alternatives || []).filter((l) => leafTexts.has(normalize(l)));
+  }
+
+  const labelLike = new Set();
+  for (const list of [schema?.containers?.totalsLabel, ["dt", "th", "label"]]) {
+    for (const selector of list || []) {
+      try {
+        for (const el of document.querySelectorAll(selector)) {
+          const text = normalize(el.textContent);
+          if (isSafeText(text)) labelLike.add(text);
+          if (labelLike.size >= 40) break;
+        }
+      } catch {
+        // invalid selector
+      }
+    }
+  }
+
+  return {
+    url: `${location.origin}${location.pathname}`,
+    title: scrub(document.title),
+    readyState: document.readyState,
+    elementCount: document.querySelectorAll("*").length,
+    textLength: bodyText.length,
+    selectors,
+    labels,
+    labelTexts: Array.from(labelLike),
+    balancePatternMatched: (schema?.patterns?.balance || []).some((source) => {
+      try {
+        return new RegExp(source).test(normalize(document.body?.textContent));
+      } catch {
+        return false;
+      }
+    }),
+    loginMarkerFound: includesAny(schema?.patterns?.loginMarkers),
+    tooManyRequestsFound: includesAny(schema?.patterns?.tooManyRequests)
+  };
+}
+
 chrome.runtime.onInstalled.addListener(() => {
+  void syncContextMenus();
   void syncAlarmWithPrefs();
+  void syncResetCheckAlarm();
+  void updateBadge();
+  void syncPassiveCaptureRegistration();
+  void recomputeForecast();
 });
 
 chrome.runtime.onStartup.addListener(() => {
+  void (async () => {
+    // Tab ids do not survive a browser restart.
+    const auth = await getAuthState();
+    if (auth?.loginTabId != null) await chrome.storage.local.set({ [AUTH_STATE_KEY]: { ...auth, loginTabId: null } });
+  })();
   void syncAlarmWithPrefs();
+  void syncResetCheckAlarm();
+  void updateBadge();
+  void syncPassiveCaptureRegistration();
+  void recomputeForecast();
+});
+
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+
+chrome.idle.onStateChanged.addListener(() => {
+  void syncAdaptiveSchedule();
+});
+
+chrome.permissions.onAdded.addListener(() => {
+  void syncPassiveCaptureRegistration();
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+  void syncPassiveCaptureRegistration();
 });
 
 chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local") {
+    if (changes[DATA_KEY] || changes[LAST_ERROR_KEY]) void updateBadge();
+    if (changes[FORECAST_KEY]) void syncAdaptiveSchedule();
+    const auth = changes[AUTH_STATE_KEY];
+    const authFlipped = auth && Boolean(auth.oldValue) !== Boolean(auth.newValue);
+    if (authFlipped) void syncAlarmWithPrefs();
+    if (changes[DATA_KEY] || authFlipped) void syncResetCheckAlarm();
+    if (changes[DATA_KEY] || changes[LAST_ERROR_KEY] || auth) void broadcastExternalSnapshot();
+    return;
+  }
+
   if (areaName !== "sync") return;
   if (!changes[PREFS_KEY]) return;
+  void dropRevokedSubscribers();
+  if (changes[PREFS_KEY].oldValue?.language !== changes[PREFS_KEY].newValue?.language) void syncContextMenus();
   void syncAlarmWithPrefs();
+  void syncResetCheckAlarm();
+  void updateBadge();
+  void syncPassiveCaptureRegistration();
+  void recomputeForecast();
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WEBHOOK_RETRY_ALARM) {
+    void processWebhookRetries();
+    return;
+  }
+  if (alarm.name === RESET_CHECK_ALARM) {
+    void runResetCheck();
+    return;
+  }
   if (alarm.name !== AUTO_REFRESH_ALARM) return;
-  void refreshDashboardData({ reason: "alarm" });
+  void (async () => {
+    if (await getAuthState()) {
+      await syncAlarmWithPrefs();
+      return;
+    }
+    const state = await getRefreshState();
+    if (Date.now() < state.backoffUntil) {
+      await rescheduleAutoRefresh(state.backoffUntil);
+      return;
+    }
+    const prefs = await getPrefs();
+    if (prefs.scheduleMode === "adaptive" && (await chrome.idle.queryState(IDLE_DETECTION_SECONDS)) !== "active") {
+      await syncAdaptiveSchedule();
+      return;
+    }
+    try {
+      await runCoalescedRefresh("alarm");
+    } catch {
+      // ignore: the refresh log has the failure
+    } finally {
+      // One-shot alarms need the next run planned, even when this one failed and left no new snapshot.
+      await syncAdaptiveSchedule();
+    }
+  })();
+});
+
+// Registered at the top level rather than through waitForTabUrl: signing in can take longer than the worker
+// stays alive, and only top-level listeners wake it back up.
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url || !DASHBOARD_URL_PATTERN.test(changeInfo.url)) return;
+  void completeRelogin(tabId);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  void abandonRelogin(tabId);
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === "open_side_panel") {
+    // Called before anything is awaited: sidePanel.open only works inside the shortcut's user gesture.
+    if (tab?.windowId != null) void chrome.sidePanel.open({ windowId: tab.windowId });
+    return;
+  }
+  if (command === "refresh") void runCoalescedRefresh("shortcut").catch((err) => recordRefreshException("shortcut", err));
+  if (command === "copy_summary") void copySummaryToClipboard();
 });
 
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId === "rcdm_menu_refresh") {
+    void runCoalescedRefresh("context_menu").catch((err) => recordRefreshException("context_menu", err));
+  }
+  if (info.menuItemId === "rcdm_menu_open") void openDashboardTab();
+});
+
+chrome.omnibox.onInputStarted.addListener(() => {
+  void omniboxSuggestions("").then(({ defaultSuggestion }) => {
+    chrome.omnibox.setDefaultSuggestion({ description: defaultSuggestion });
+  });
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  void omniboxSuggestions(text).then(({ defaultSuggestion, suggestions }) => {
+    chrome.omnibox.setDefaultSuggestion({ description: defaultSuggestion });
+    suggest(suggestions);
+  });
+});
+
+chrome.omnibox.onInputEntered.addListener((_text, disposition) => {
+  void openDashboardTab(disposition);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith("rcdm_notify:")) return;
+  void chrome.notifications.clear(notificationId);
+  void chrome.tabs.create({ url: DASHBOARD_URL });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!message || typeof message !== "object") return;
 
+  if (message.type === "rcdm_passive_capture") {
+    void handlePassiveCapture(sender).then(sendResponse);
+    return true;
+  }
+
   if (message.type === "rcdm_refresh") {
     void (async () => {
-      if (!inFlightRefreshPromise) {
-        inFlightRefreshPromise = refreshDashboardData({ reason: message.reason || "manual" }).finally(() => {
-          inFlightRefreshPromise = null;
-        });
+      try {
+        sendResponse(await runCoalescedRefresh(message.reason || "manual"));
+      } catch (err) {
+        sendResponse({ ok: false, error: String(err?.message || err) });
       }
-      const res = await inFlightRefreshPromise;
-      sendResponse(res);
+    })();
+    return true;
+  }
+
+  if (message.type === "rcdm_relogin") {
+    void startRelogin().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === "rcdm_test_webhook") {
+    void dispatchWebhookEvent("test", {}, { hookId: message.hookId }).then((entries) => {
+      sendResponse({ ok: entries.length > 0, entry: entries[0] || null });
+    });
+    return true;
+  }
+
+  if (message.type === "rcdm_get_bug_report") {
+    void buildBugReport().then((text) => sendResponse({ ok: true, text }));
+    return true;
+  }
+
+  if (message.type === "rcdm_get_schema") {
+    void (async () => {
+      const stored = await chrome.storage.local.get({ [SCHEMA_KEY]: null });
+      sendResponse({ ok: true, schema: await getExtractSchema(), imported: Boolean(stored[SCHEMA_KEY]) });
+    })();
+    return true;
+  }
+
+  if (message.type === "rcdm_import_schema") {
+    void importExtractSchema(message.schema).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === "rcdm_reset_schema") {
+    void (async () => {
+      await chrome.storage.local.remove(SCHEMA_KEY);
+      sendResponse({ ok: true, schema: DEFAULT_EXTRACT_SCHEMA });
     })();
     return true;
   }
@@ -462,3 +2479,48 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return true;
   }
 });
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== PROGRESS_PORT) return;
+  progressPorts.add(port);
+  port.onDisconnect.addListener(() => progressPorts.delete(port));
+  port.onMessage.addListener((message) => {
+    if (message?.type === "rcdm_cancel_refresh") cancelRefresh(message.runId);
+  });
+  // A page opened mid-refresh catches up on the stages so far.
+  port.postMessage({ type: "rcdm_progress", run: refreshRunSummary(activeRefreshRun) });
+});
+
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  void handleExternalRequest(message, sender)
+    .catch((err) => externalError("internal_error", err?.message || err))
+    .then(sendResponse);
+  return true;
+});
+
+chrome.runtime.onConnectExternal.addListener((port) => {
+  if (port.name !== EXTERNAL_SUBSCRIBE_PORT) {
+    port.disconnect();
+    return;
+  }
+
+  let open = true;
+  port.onDisconnect.addListener(() => {
+    open = false;
+    externalSubscribers.delete(port);
+  });
+
+  void (async () => {
+    const prefs = await getPrefs();
+    if (!open) return;
+    if (!isSenderAllowed(prefs.externalApi, port.sender)) {
+      port.postMessage(externalError("forbidden"));
+      dropExternalSubscriber(port);
+      return;
+    }
+    externalSubscribers.add(port);
+    // Subscribers get the current state right away, then one message per change.
+    const snapshot = await readExternalSnapshot();
+    if (open) port.postMessage({ ok: true, api: EXTERNAL_API_VERSION, event: "snapshot", snapshot });
+  })();
+});
@@ -1,20 +1,96 @@
+import { EVENTS_KEY } from "../lib/events.js";
+import { intlLocale, setLanguage, t } from "../lib/i18n.js";
+import { TOTAL_METRICS, pointValues } from "../lib/metrics.js";
+import { PREFS_KEY, getPrefs, setPrefs } from "../lib/prefs.js";
+import { RESET_CHECKS_KEY, missedResets } from "../lib/resets.js";
+import { SCHEDULE_PLAN_KEY, describeSchedulePlan, formatDuration } from "../lib/schedule.js";
+import { isResetPending, subscriptionKey } from "../lib/subscriptions.js";
+import { TOTAL_MESSAGES, buildSummaryText, formatCost, formatDelta, totalsAnalytics } from "../lib/summary.js";
+import {
+  dateKey,
+  dateKeyToMs,
+  displayTimeZone,
+  formatClock,
+  formatDateTime,
+  isDefaultResetSchedule,
+  resetScheduleFor,
+  resetWindow,
+  setDisplayTimeZone
+} from "../lib/time.js";
+import { PANEL_SECTIONS, VIEW_STATE_KEY, getViewState, setViewState, validateViewState } from "../lib/view.js";
+
 const DASHBOARD_URL = "https://www.right.codes/dashboard";
 const ORIGINS = ["https://right.codes/*", "https://www.right.codes/*"];
 
 const DATA_KEY = "rcdm_data";
 const LAST_ERROR_KEY = "rcdm_last_error";
-const PREFS_KEY = "rcdm_prefs";
+const HISTORY_KEY = "rcdm_history";
+const FORECAST_KEY = "rcdm_forecast";
+const REFRESH_STATE_KEY = "rcdm_refresh_state";
+const AUTH_STATE_KEY = "rcdm_auth_state";
+const REFRESH_LOG_KEY = "rcdm_refresh_log";
 
-const DEFAULT_PREFS = {
-  autoRefresh: false,
-  autoRefreshExplicit: false,
-  refreshMinutes: 5,
-  closeTempTab: true
+const STRATEGY_MESSAGES = {
+  tab: "strategyTab",
+  api: "strategyApi",
+  passive: "strategyPassive"
 };
-
-const REFRESH_MINUTES_OPTIONS = [1, 2, 5, 10, 15, 30, 60];
-const BEIJING_TZ = "Asia/Shanghai";
-const BEIJING_OFFSET_MS = 8 * 60 * 60 * 1000;
+// Today's average cost this far above the lifetime average is flagged (e.g. someone switched to a pricier model).
+const COST_REGRESSION_RATIO = 1.25;
+const ERROR_MESSAGES = {
+  missing_host_permission: "errorMissingHostPermission",
+  rate_limited_local: "errorRateLimitedLocal",
+  tab_create_failed: "errorTabCreateFailed",
+  extract_failed: "errorExtractFailed",
+  refresh_exception: "errorRefreshException"
+};
+const ERROR_DETAIL_MESSAGES = {
+  auth_required: "errorAuthRequired",
+  too_many_requests: "errorTooManyRequests",
+  dashboard_data_not_ready: "errorDataNotReady",
+  main_not_found: "errorDataNotReady"
+};
+const PROGRESS_MESSAGES = {
+  api: "progressApi",
+  open_tab: "progressOpenTab",
+  reuse_tab: "progressReuseTab",
+  wait_url: "progressWaitUrl",
+  save: "progressSave"
+};
+const PROGRESS_PORT = "rcdm_progress";
+const BACKOFF_MESSAGES = {
+  auth_required: "backoffAuthRequired",
+  too_many_requests: "backoffTooManyRequests",
+  extract_failed: "backoffExtractFailed"
+};
+// The SW always holds off MIN_REFRESH_GAP_MS between refreshes; only a longer hold is a rate-limit cooldown.
+const COOLDOWN_NOTICE_MS = 5_000;
+const SUBSCRIPTION_SORT_OPTIONS = [
+  { value: "page", message: "sortPage" },
+  { value: "expiry", message: "sortExpiry" },
+  { value: "quota_desc", message: "sortQuotaDesc" },
+  { value: "quota_asc", message: "sortQuotaAsc" }
+];
+const HISTORY_RANGE_OPTIONS = [
+  { hours: 6, label: "6h" },
+  { hours: 24, label: "24h" },
+  { hours: 72, label: "3d" },
+  { hours: 168, label: "7d" }
+];
+const PANEL_SECTION_MESSAGES = {
+  overview: "panelOverview",
+  subscriptions: "panelSubscriptions",
+  charts: "panelCharts",
+  resets: "panelResets",
+  events: "panelEvents",
+  log: "panelLog",
+  export: "exportData"
+};
+// Rows in the side panel's refresh log and event timeline.
+const PANEL_LOG_LIMIT = 20;
+const PANEL_EVENTS_LIMIT = 50;
+const PANEL_RESETS_LIMIT = 50;
+const CHART_COLORS = ["#a78bfa", "#22c55e", "#f59e0b", "#38bdf8", "#fb7185", "#e879f9"];
 
 function escapeHtml(s) {
   return String(s ?? "")
@@ -25,35 +101,6 @@ function escapeHtml(s) {
     .replaceAll("'", "&#039;");
 }
 
-function formatTimeBeijing(input) {
-  if (!input) return "—";
-  const d = typeof input === "string" || typeof input === "number" ? new Date(input) : input;
-  if (!(d instanceof Date) || Number.isNaN(d.getTime())) return String(input);
-  return new Intl.DateTimeFormat("zh-CN", {
-    timeZone: BEIJING_TZ,
-    hour12: false,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit"
-  }).format(d);
-}
-
-function msUntilNextBeijingMidnight(nowMs = Date.now()) {
-  // Beijing time is UTC+8 and has no DST. We compute next 00:00 (Beijing) in UTC milliseconds.
-  const bjtMs = nowMs + BEIJING_OFFSET_MS;
-  const bjt = new Date(bjtMs);
-  const y = bjt.getUTCFullYear();
-  const m = bjt.getUTCMonth();
-  const d = bjt.getUTCDate();
-
-  const nextMidnightBjtMs = Date.UTC(y, m, d + 1, 0, 0, 0, 0);
-  const nextMidnightRealMs = nextMidnightBjtMs - BEIJING_OFFSET_MS;
-  return nextMidnightRealMs - nowMs;
-}
-
 function formatHms(ms) {
   const clamped = Math.max(0, Math.floor(ms / 1000));
   const h = Math.floor(clamped / 3600);
@@ -63,14 +110,16 @@ function formatHms(ms) {
   return `${pad2(h)}:${pad2(m)}:${pad2(s)}`;
 }
 
-function getBeijingResetInfo(nowMs = Date.now()) {
-  const msLeft = msUntilNextBeijingMidnight(nowMs);
-  const nextResetAtMs = nowMs + msLeft;
+// Countdown to the earliest upcoming reset across all subscriptions (or the default schedule if none are known).
+function getResetInfo(prefs, subs, nowMs = Date.now()) {
+  const keys = subs.length ? subs.map(subscriptionKey) : [null];
+  const nextResetAtMs = Math.min(...keys.map((key) => resetWindow(resetScheduleFor(prefs, key), nowMs).nextMs));
+  const msLeft = nextResetAtMs - nowMs;
   return {
     msLeft,
     nextResetAtMs,
     countdownText: formatHms(msLeft),
-    nextResetAtText: `${formatTimeBeijing(nextResetAtMs)}（北京时间 00:00）`
+    nextResetAtText: t("nextResetAt", formatDateTime(nextResetAtMs))
   };
 }
 
@@ -89,22 +138,155 @@ function isQuotaDepleted(sub) {
   return Number(m[1]) <= 1e-9;
 }
 
-async function getPrefs() {
-  const stored = await chrome.storage.sync.get({ [PREFS_KEY]: DEFAULT_PREFS });
-  const prefs = { ...DEFAULT_PREFS, ...(stored[PREFS_KEY] || {}) };
-  // Auto refresh is OFF unless user explicitly enabled it (migration-friendly).
-  if (!prefs.autoRefreshExplicit) prefs.autoRefresh = false;
-  return prefs;
+function endpointTitles(sub) {
+  return Array.isArray(sub?.endpoints) ? sub.endpoints.map((e) => e?.title).filter(Boolean) : [];
+}
+
+// The site shows dates like "2026-11-01" or "2026-11-01 12:00"; anything else is treated as unknown.
+function parseSiteDateMs(text) {
+  if (!text) return null;
+  const ms = Date.parse(String(text).trim().replace(" ", "T"));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function expiryMs(sub) {
+  const parsed = parseSiteDateMs(sub?.expiresAt);
+  if (parsed != null) return parsed;
+  return Number.isFinite(sub?.remainingDays) ? Date.now() + sub.remainingDays * 24 * 60 * 60 * 1000 : null;
 }
 
-async function setPrefs(partial) {
-  const prefs = await getPrefs();
-  await chrome.storage.sync.set({ [PREFS_KEY]: { ...prefs, ...partial } });
+function usedPercentOf(sub) {
+  if (Number.isFinite(sub?.usedPercent)) return Math.min(100, Math.max(0, sub.usedPercent));
+  const { remaining, total } = sub?.quota || {};
+  if (typeof remaining === "number" && total > 0) return Math.min(100, Math.max(0, ((total - remaining) / total) * 100));
+  return null;
+}
+
+function termElapsedPercent(sub, nowMs = Date.now()) {
+  const startMs = parseSiteDateMs(sub?.acquiredAt);
+  const endMs = parseSiteDateMs(sub?.expiresAt);
+  if (startMs == null || endMs == null || endMs <= startMs) return null;
+  return Math.min(100, Math.max(0, ((nowMs - startMs) / (endMs - startMs)) * 100));
+}
+
+// Stable sort; subscriptions without the value go last.
+function sortSubscriptions(subs, sort) {
+  if (sort === "page") return subs;
+  const value = sort === "expiry" ? expiryMs : (s) => (typeof s.quota?.remaining === "number" ? s.quota.remaining : null);
+  const direction = sort === "quota_desc" ? -1 : 1;
+  return [...subs].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return (va - vb) * direction;
+  });
+}
+
+function isCostRegression(today, overall) {
+  return today != null && overall > 0 && today > overall * COST_REGRESSION_RATIO;
+}
+
+function historySeries(history, sinceMs, pick) {
+  const series = [];
+  for (const point of history) {
+    if (point.t < sinceMs) continue;
+    const v = pick(point);
+    if (typeof v === "number" && Number.isFinite(v)) series.push({ t: point.t, v });
+  }
+  return series;
+}
+
+function subHistorySeries(history, sinceMs, key, pick) {
+  return historySeries(history, sinceMs, (point) => {
+    const sub = point.subs?.find((s) => s.key === key);
+    return sub ? pick(sub) : null;
+  });
+}
+
+function chartPath(series, { width, height, minT, maxT, minV, maxV, pad = 2 }) {
+  const spanT = maxT - minT || 1;
+  const spanV = maxV - minV || 1;
+  return series
+    .map((p) => {
+      const x = ((p.t - minT) / spanT) * (width - pad * 2) + pad;
+      const y = height - pad - ((p.v - minV) / spanV) * (height - pad * 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+}
+
+function sparklineSvg(series, { width = 96, height = 24, color = CHART_COLORS[0] } = {}) {
+  if (series.length < 2) return `<span class="spark-empty muted small">—</span>`;
+  const values = series.map((p) => p.v);
+  const points = chartPath(series, {
+    width,
+    height,
+    minT: series[0].t,
+    maxT: series[series.length - 1].t,
+    minV: Math.min(...values),
+    maxV: Math.max(...values)
+  });
+  return `<svg class="spark" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" preserveAspectRatio="none"><polyline points="${points}" stroke="${color}" /></svg>`;
+}
+
+function lineChartSvg(seriesList, { width = 380, height = 90, minV = 0, maxV = 100 } = {}) {
+  const drawable = seriesList.filter((s) => s.series.length >= 2);
+  if (!drawable.length) return `<div class="muted small">${escapeHtml(t("chartNotEnoughData"))}</div>`;
+
+  const allT = drawable.flatMap((s) => s.series.map((p) => p.t));
+  const opts = { width, height, minT: Math.min(...allT), maxT: Math.max(...allT), minV, maxV, pad: 4 };
+  const lines = drawable
+    .map((s) => `<polyline points="${chartPath(s.series, opts)}" stroke="${s.color}" />`)
+    .join("");
+  const legend = drawable
+    .map((s) => `<span class="legend-item"><span class="swatch" style="background:${s.color}"></span>${escapeHtml(s.label)}</span>`)
+    .join("");
+
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+      <line x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}" class="gridline" />
+      ${lines}
+    </svg>
+    <div class="legend">${legend}</div>
+  `;
 }
 
 async function getData() {
-  const stored = await chrome.storage.local.get({ [DATA_KEY]: null, [LAST_ERROR_KEY]: null });
-  return { data: stored[DATA_KEY], lastError: stored[LAST_ERROR_KEY] };
+  const stored = await chrome.storage.local.get({
+    [DATA_KEY]: null,
+    [LAST_ERROR_KEY]: null,
+    [HISTORY_KEY]: [],
+    [FORECAST_KEY]: null,
+    [AUTH_STATE_KEY]: null,
+    [REFRESH_LOG_KEY]: [],
+    [EVENTS_KEY]: [],
+    [RESET_CHECKS_KEY]: []
+  });
+  const session = await chrome.storage.session.get({ [REFRESH_STATE_KEY]: null, [SCHEDULE_PLAN_KEY]: null });
+  const history = Array.isArray(stored[HISTORY_KEY]) ? stored[HISTORY_KEY] : [];
+  return {
+    data: stored[DATA_KEY],
+    lastError: stored[LAST_ERROR_KEY],
+    history,
+    forecast: stored[FORECAST_KEY],
+    authState: stored[AUTH_STATE_KEY],
+    refreshLog: Array.isArray(stored[REFRESH_LOG_KEY]) ? stored[REFRESH_LOG_KEY] : [],
+    events: Array.isArray(stored[EVENTS_KEY]) ? stored[EVENTS_KEY] : [],
+    resetChecks: Array.isArray(stored[RESET_CHECKS_KEY]) ? stored[RESET_CHECKS_KEY] : [],
+    refreshState: session[REFRESH_STATE_KEY],
+    schedulePlan: session[SCHEDULE_PLAN_KEY]
+  };
+}
+
+function refreshStateLines(state, nowMs = Date.now()) {
+  const lines = [];
+  if (!state) return lines;
+  if (state.backoffUntil > nowMs) {
+    const why = t(BACKOFF_MESSAGES[state.lastFailure] || "backoffExtractFailed");
+    lines.push(t("backoffActive", [state.failures, why, formatClock(state.backoffUntil)]));
+  }
+  if (state.nextAllowedAt - nowMs > COOLDOWN_NOTICE_MS) lines.push(t("cooldownActive", formatClock(state.nextAllowedAt)));
+  return lines;
 }
 
 async function hasPermission() {
@@ -119,221 +301,1037 @@ async function refreshNow() {
   return chrome.runtime.sendMessage({ type: "rcdm_refresh", reason: "manual" });
 }
 
+async function relogin() {
+  return chrome.runtime.sendMessage({ type: "rcdm_relogin" });
+}
+
 async function openDashboard() {
   await chrome.tabs.create({ url: DASHBOARD_URL });
 }
 
-function buildSummaryText(payload) {
-  const lines = [];
-  if (payload?.balance?.raw) lines.push(`余额: ${payload.balance.raw}`);
-  const totals = payload?.totals || {};
-  for (const k of ["累计请求", "累计 Token", "累计花费"]) {
-    if (totals[k]) lines.push(`${k}: ${totals[k]}`);
+function forecastText(entry) {
+  if (!entry) return "—";
+  switch (entry.status) {
+    case "depleted":
+      return t("forecastDepleted");
+    case "flat":
+      return t("forecastFlat");
+    case "insufficient":
+      return t("forecastInsufficient");
+    case "draining":
+      return t("forecastDraining", [formatClock(entry.depletionAt), entry.ratePerHour.toFixed(2)]);
+    default:
+      return "—";
   }
-  lines.push(`更新时间(北京时间): ${payload?.fetchedAt ? formatTimeBeijing(payload.fetchedAt) : "—"}`);
-  return lines.join("\n");
 }
 
-function render({ data, prefs, permitted, lastError, busy }) {
-  const root = document.querySelector("#app");
-  if (!root) return;
+function defaultExportRange(nowMs = Date.now()) {
+  return { from: dateKey(nowMs - 6 * 24 * 60 * 60 * 1000), to: dateKey(nowMs) };
+}
 
-  const fetchedAt = data?.fetchedAt || null;
-  const totals = data?.totals || {};
-  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+// Date inputs are read as calendar days in the display time zone; `to` is inclusive.
+function exportRangeMs(range) {
+  const fromMs = dateKeyToMs(range?.from);
+  const toMs = dateKeyToMs(range?.to);
+  return {
+    fromMs: fromMs ?? -Infinity,
+    // The next day's start rather than +24h, so DST days are not cut short.
+    toMs: toMs != null ? dateKeyToMs(dateKey(toMs + 36 * 60 * 60 * 1000)) - 1 : Infinity
+  };
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function buildHistoryCsv(points) {
+  const totalLabels = Array.from(new Set(points.flatMap((p) => Object.keys(p.totals || {}))));
+  const header = [
+    "fetched_at_utc",
+    "fetched_at_local",
+    "balance",
+    "subscription",
+    "quota_remaining",
+    "quota_total",
+    "used_percent",
+    ...totalLabels
+  ];
+
+  const rows = [header];
+  for (const point of points) {
+    const base = [new Date(point.t).toISOString(), formatDateTime(point.t), point.balance];
+    const totals = totalLabels.map((label) => point.totals?.[label] ?? null);
+    const subs = point.subs?.length ? point.subs : [null];
+    for (const sub of subs) {
+      rows.push([...base, sub?.name, sub?.remaining, sub?.total, sub?.usedPercent, ...totals]);
+    }
+  }
 
-  const errorText = lastError
-    ? `${lastError.code || "error"} @ ${formatTimeBeijing(lastError.at)}（北京时间）\n${escapeHtml(
-        JSON.stringify(lastError.detail ?? lastError, null, 2)
-      )}`
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+}
+
+function buildExportJson({ data, history, range }) {
+  const { fromMs, toMs } = exportRangeMs(range);
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      range: { from: range?.from || null, to: range?.to || null, timezone: displayTimeZone() },
+      current: data || null,
+      history: history.filter((p) => p.t >= fromMs && p.t <= toMs)
+    },
+    null,
+    2
+  );
+}
+
+function flashCopied(button, message) {
+  button.textContent = t("copied");
+  setTimeout(() => {
+    button.textContent = t(message);
+  }, 1200);
+}
+
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function isAuthRequiredError(lastError) {
+  const detail = lastError?.detail;
+  return (typeof detail === "string" ? detail : JSON.stringify(detail ?? "")).toLowerCase().includes("auth_required");
+}
+
+function describeError(lastError) {
+  const detail = lastError?.detail;
+  const detailText = (typeof detail === "string" ? detail : JSON.stringify(detail ?? "")).toLowerCase();
+  const detailMatch = Object.keys(ERROR_DETAIL_MESSAGES).find((k) => detailText.includes(k));
+  if (detailMatch) return t(ERROR_DETAIL_MESSAGES[detailMatch]);
+  return t(ERROR_MESSAGES[lastError?.code] || "errorUnknown");
+}
+
+function subscriptionCardHtml(s, { prefs, history, sinceMs, fc, endpointFilter }) {
+  const resetText = s.resetStatus || "—";
+  const resetDotClass = isResetPending(s) ? "bad" : "";
+  const quotaText = s.quota?.raw || (typeof s.quota === "string" ? s.quota : "—");
+  const depleted = isQuotaDepleted(s);
+  const key = subscriptionKey(s);
+  const remainingSeries = subHistorySeries(history, sinceMs, key, (p) => p.remaining);
+  // Only plans with their own reset schedule get a row; the rest share the countdown above.
+  const ownResetHtml = isDefaultResetSchedule(prefs, key)
+    ? ""
+    : `<div class="muted">${escapeHtml(t("labelNextReset"))}</div><div>${escapeHtml(
+        formatClock(resetWindow(resetScheduleFor(prefs, key)).nextMs)
+      )}</div>`;
+
+  const used = usedPercentOf(s);
+  const usageHtml =
+    used != null
+      ? `
+        <div class="usage">
+          <div class="bar"><div class="${depleted || used >= 90 ? "bad" : ""}" style="width:${used.toFixed(1)}%"></div></div>
+          <span class="muted small">${escapeHtml(t("usedPercent", s.usedPercentText || `${Math.round(used)}%`))}</span>
+        </div>
+      `
+      : "";
+
+  const elapsed = termElapsedPercent(s);
+  const timelineHtml =
+    elapsed != null
+      ? `<div class="span bar term" title="${escapeHtml(t("timelineTitle", Math.round(elapsed)))}"><div style="width:${elapsed.toFixed(1)}%"></div></div>`
+      : "";
+
+  const endpoints = endpointTitles(s);
+  const endpointsHtml = endpoints.length
+    ? `
+      <div class="chips" title="${escapeHtml(t("labelEndpoints"))}">
+        ${endpoints.map((e) => `<span class="chip ${e === endpointFilter ? "active" : ""}">${escapeHtml(e)}</span>`).join("")}
+      </div>
+    `
     : "";
 
+  return `
+    <div class="sub ${depleted ? "depleted" : ""} ${!depleted && fc?.beforeReset ? "at-risk" : ""}">
+      <h3>${escapeHtml(s.name || t("unnamedSubscription"))}</h3>
+      ${usageHtml}
+      <div class="kv">
+        <div class="muted">${escapeHtml(t("labelExpiresAt"))}</div><div>${escapeHtml(s.expiresAt || "—")}</div>
+        <div class="muted">${escapeHtml(t("labelRemainingDays"))}</div>
+        <div>${escapeHtml(Number.isFinite(s.remainingDays) ? t("daysValue", s.remainingDays) : s.remainingDaysRaw || "—")}</div>
+        <div class="muted">${escapeHtml(t("labelAcquiredAt"))}</div><div>${escapeHtml(s.acquiredAt || "—")}</div>
+        ${timelineHtml}
+        <div class="muted">${escapeHtml(t("labelResetStatus"))}</div>
+        <div class="pill"><span class="dot ${resetDotClass}"></span><span>${escapeHtml(resetText)}</span></div>
+        <div class="muted">${escapeHtml(t("labelRemainingQuota"))}</div><div>${escapeHtml(quotaText)}</div>
+        <div class="muted">${escapeHtml(t("labelDepletion"))}</div>
+        <div class="${fc?.beforeReset ? "risk" : ""}">${escapeHtml(forecastText(fc))}</div>
+        ${ownResetHtml}
+      </div>
+      ${endpointsHtml}
+      <div class="sub-trend">${sparklineSvg(remainingSeries, { width: 160, height: 22 })}</div>
+    </div>
+  `;
+}
+
+function subscriptionRowHtml(s, { prefs, history, sinceMs, fc }) {
+  const depleted = isQuotaDepleted(s);
+  const key = subscriptionKey(s);
+  const used = usedPercentOf(s);
+  const endpoints = endpointTitles(s);
+  const ownReset = isDefaultResetSchedule(prefs, key)
+    ? ""
+    : `<div class="muted small">${escapeHtml(t("labelNextReset"))} ${escapeHtml(formatClock(resetWindow(resetScheduleFor(prefs, key)).nextMs))}</div>`;
+
+  return `
+    <tr class="${depleted ? "depleted" : ""} ${!depleted && fc?.beforeReset ? "at-risk" : ""}">
+      <td>
+        <div class="name">${escapeHtml(s.name || t("unnamedSubscription"))}</div>
+        ${endpoints.length ? `<div class="muted small">${escapeHtml(endpoints.join(t("listSeparator")))}</div>` : ""}
+      </td>
+      <td>${escapeHtml(s.quota?.raw || (typeof s.quota === "string" ? s.quota : "—"))}</td>
+      <td>
+        ${
+          used != null
+            ? `<div>${escapeHtml(s.usedPercentText || `${Math.round(used)}%`)}</div>
+               <div class="bar"><div class="${depleted || used >= 90 ? "bad" : ""}" style="width:${used.toFixed(1)}%"></div></div>`
+            : "—"
+        }
+      </td>
+      <td>
+        <div>${escapeHtml(s.expiresAt || "—")}</div>
+        <div class="muted small">${escapeHtml(Number.isFinite(s.remainingDays) ? t("daysValue", s.remainingDays) : s.remainingDaysRaw || "")}</div>
+      </td>
+      <td>
+        <span class="pill"><span class="dot ${isResetPending(s) ? "bad" : ""}"></span><span>${escapeHtml(s.resetStatus || "—")}</span></span>
+        ${ownReset}
+      </td>
+      <td class="${fc?.beforeReset ? "risk" : ""}">${escapeHtml(forecastText(fc))}</td>
+      <td>${sparklineSvg(subHistorySeries(history, sinceMs, key, (p) => p.remaining), { width: 96, height: 22 })}</td>
+    </tr>
+  `;
+}
+
+// Everything both layouts derive from the stored state.
+function viewContext(state) {
+  const { data, view, history = [], forecast = null } = state;
+  const subs = Array.isArray(data?.subscriptions) ? data.subscriptions : [];
+  const rangeHours = view.historyRangeHours;
+  const endpointFilter = view.endpointFilter;
+  return {
+    ...state,
+    history,
+    forecast,
+    subs,
+    rangeHours,
+    sinceMs: Date.now() - rangeHours * 60 * 60 * 1000,
+    analytics: totalsAnalytics(data, history),
+    forecastFor: (s) => forecast?.subs?.[subscriptionKey(s)] || null,
+    endpointFilter,
+    visibleSubs: sortSubscriptions(
+      endpointFilter ? subs.filter((s) => endpointTitles(s).includes(endpointFilter)) : subs,
+      view.subscriptionSort
+    )
+  };
+}
+
+function headerHtml({ data, busy }) {
+  return `
+    <div>
+      <div class="title">${escapeHtml(t("extName"))}</div>
+      <div class="subtitle">
+        ${escapeHtml(t("lastUpdated", formatDateTime(data?.fetchedAt || null)))}${
+          data?.strategy ? ` · ${escapeHtml(STRATEGY_MESSAGES[data.strategy] ? t(STRATEGY_MESSAGES[data.strategy]) : data.strategy)}` : ""
+        }${data?.fallbackFrom ? escapeHtml(t("apiFellBack")) : ""}${
+          data?.staleSince ? ` · <span class="risk">${escapeHtml(t("staleTag"))}</span>` : ""
+        }
+      </div>
+    </div>
+    <div class="toolbar">
+      <button id="btnOpen">${escapeHtml(t("open"))}</button>
+      <button id="btnRefresh" class="primary">${escapeHtml(busy ? t("refreshing") : t("refresh"))}</button>
+    </div>
+  `;
+}
+
+function progressStageText(entry) {
+  if (entry.stage === "extract") return t("progressExtract", [entry.attempt, entry.maxAttempts]);
+  if (entry.stage === "retry") {
+    const reason = String(entry.reason || "");
+    const known = Object.keys(ERROR_DETAIL_MESSAGES).find((k) => reason.toLowerCase().includes(k));
+    return t("progressRetry", known ? t(ERROR_DETAIL_MESSAGES[known]) : reason);
+  }
+  return t(PROGRESS_MESSAGES[entry.stage] || "refreshing");
+}
+
+// One line for the running refresh; hovering it lists every stage so far.
+function progressHtml({ progress }) {
+  if (!progress || progress.outcome) return "";
+  const stages = progress.stages.map(progressStageText);
+  const text = progress.cancelling ? t("progressCancelling") : stages[stages.length - 1] || t("refreshing");
+  return `
+    <div class="row progress">
+      <div class="small" title="${escapeHtml(stages.join("\n"))}">
+        ${escapeHtml(text)} <span class="muted" id="progressElapsed"></span>
+      </div>
+      <button id="btnCancelRefresh" class="small" ${progress.cancelling ? "disabled" : ""}>${escapeHtml(t("cancel"))}</button>
+    </div>
+  `;
+}
+
+function noticesHtml({ permitted, authState, prefs, resetChecks }) {
   const permBlock = !permitted
-    ? `<div class="row"><div class="muted small">需要授权访问 right.codes 才能抓取数据</div><button id="btnGrant" class="primary">授权</button></div>`
+    ? `<div class="row"><div class="muted small">${escapeHtml(t("permissionNeeded"))}</div><button id="btnGrant" class="primary">${escapeHtml(t("grant"))}</button></div>`
     : "";
-
-  const cardsHtml = subs.length
-    ? subs
-        .map((s) => {
-          const resetText = s.resetStatus || "—";
-          const resetDotClass = resetText.includes("未") ? "bad" : "";
-          const quotaText = s.quota?.raw || (typeof s.quota === "string" ? s.quota : "—");
-          const depleted = isQuotaDepleted(s);
-
-          return `
-          <div class="sub ${depleted ? "depleted" : ""}">
-            <h3>${escapeHtml(s.name || "（未命名订阅）")}</h3>
-            <div class="kv">
-              <div class="muted">到期时间</div><div>${escapeHtml(s.expiresAt || "—")}</div>
-              <div class="muted">今日重置</div>
-              <div class="pill"><span class="dot ${resetDotClass}"></span><span>${escapeHtml(resetText)}</span></div>
-              <div class="muted">剩余额度</div><div>${escapeHtml(quotaText)}</div>
+  // Signed out, the banner replaces the raw error: the fix is the same every time.
+  const authBlock = authState
+    ? `
+      <div class="notice row">
+        <div class="small">
+          <div class="risk">${escapeHtml(t("authExpired"))}</div>
+          <div class="muted">${escapeHtml(
+            authState.loginTabId != null ? t("reloginWaiting") : t("authExpiredSince", formatDateTime(authState.since))
+          )}</div>
+        </div>
+        <button id="btnRelogin" class="primary">${escapeHtml(t("relogin"))}</button>
+      </div>
+    `
+    : "";
+  // Only while the reset is still missing: a late reset that landed after all is in the side panel's table.
+  const resetBlock = prefs.resetCheck.enabled
+    ? missedResets(resetChecks, prefs)
+        .map(
+          (record) => `
+            <div class="notice small">
+              <div class="risk">${escapeHtml(t("resetMissedNotice", [record.name || "?", formatDateTime(record.resetAt)]))}</div>
+              <div class="muted">${escapeHtml(t("resetMissedDetail", [record.resetStatus || "—", formatDateTime(record.lastCheckedAt)]))}</div>
             </div>
-          </div>
-        `;
-        })
+          `
+        )
         .join("")
-    : `<div class="muted small">暂无订阅数据（请先刷新一次）</div>`;
-
-  const html = `
-    <div class="card">
-      <div class="header">
-        <div>
-          <div class="title">Right Code Dashboard Mini</div>
-          <div class="subtitle">最近更新：${escapeHtml(formatTimeBeijing(fetchedAt))}（北京时间）</div>
-        </div>
-        <div class="toolbar">
-          <button id="btnOpen">打开</button>
-          <button id="btnRefresh" class="primary">${busy ? "刷新中…" : "刷新"}</button>
+    : "";
+  return `${permBlock}${authBlock}${resetBlock}`;
+}
+
+function overviewHtml({ data, history, forecast, sinceMs, subs, forecastFor }) {
+  const atRiskSubs = subs.filter((s) => forecastFor(s)?.beforeReset);
+  const forecastHtml = !subs.length
+    ? ""
+    : `
+      <div class="row">
+        <div class="muted">${escapeHtml(t("forecastAtRisk"))}</div>
+        <div class="${atRiskSubs.length ? "risk" : ""}">
+          ${
+            atRiskSubs.length
+              ? escapeHtml(atRiskSubs.map((s) => s.name || t("unnamedSubscription")).join(t("listSeparator")))
+              : forecast
+                ? escapeHtml(t("none"))
+                : "—"
+          }
         </div>
       </div>
+    `;
 
-      <div class="content">
-        ${permBlock}
-
-        <div class="row">
-          <div class="muted">距离北京时间零点刷新</div>
-          <div style="display:flex; gap:8px; align-items:center;">
-            <span id="resetCountdown">—</span>
-            <span class="muted small" id="nextResetAt"></span>
-          </div>
-        </div>
+  return `
+    <div class="row">
+      <div class="muted">${escapeHtml(t("resetCountdown"))}</div>
+      <div style="display:flex; gap:8px; align-items:center;">
+        <span id="resetCountdown">—</span>
+        <span class="muted small" id="nextResetAt"></span>
+      </div>
+    </div>
 
-        <div class="row">
-          <div class="muted">余额</div>
-          <div>${escapeHtml(data?.balance?.raw || "—")}</div>
-        </div>
+    ${forecastHtml}
 
-        <div class="grid3">
-          <div class="metric"><div class="k">累计请求</div><div class="v">${escapeHtml(totals["累计请求"] || "—")}</div></div>
-          <div class="metric"><div class="k">累计 Token</div><div class="v">${escapeHtml(totals["累计 Token"] || "—")}</div></div>
-          <div class="metric"><div class="k">累计花费</div><div class="v">${escapeHtml(totals["累计花费"] || "—")}</div></div>
-        </div>
+    <div class="row">
+      <div class="muted">${escapeHtml(t("balance"))}</div>
+      <div style="display:flex; gap:8px; align-items:center;">
+        ${sparklineSvg(historySeries(history, sinceMs, (p) => p.balance), { width: 80, height: 18 })}
+        <span>${escapeHtml(data?.balance?.raw || "—")}</span>
+      </div>
+    </div>
+  `;
+}
 
-        <div class="row">
-          <div class="muted">自动刷新</div>
-          <div style="display:flex; gap:8px; align-items:center;">
-            <label class="pill" style="cursor:pointer;">
-              <input id="toggleAuto" type="checkbox" ${prefs.autoRefresh ? "checked" : ""} style="accent-color: var(--accent);" />
-              <span>${prefs.autoRefresh ? "已开启" : "已关闭"}</span>
-            </label>
-            <select id="selMinutes" title="刷新间隔（分钟）">
-              ${REFRESH_MINUTES_OPTIONS.map((m) => `<option value="${m}" ${Number(prefs.refreshMinutes) === m ? "selected" : ""}>${m}m</option>`).join("")}
-            </select>
-          </div>
-        </div>
+function metricsHtml({ data, history, sinceMs, analytics }) {
+  const totals = data?.totals || {};
+  const metricHtml = (metric) => `
+    <div class="metric">
+      <div class="k">${escapeHtml(t(TOTAL_MESSAGES[metric.id]))}</div>
+      <div class="v">${escapeHtml(totals[metric.key] || "—")}</div>
+      <div class="muted small">${escapeHtml(
+        t("deltaLine", [
+          formatDelta(metric.id, analytics.today?.[metric.id] ?? null),
+          formatDelta(metric.id, analytics.sinceLast?.[metric.id] ?? null)
+        ])
+      )}</div>
+      ${sparklineSvg(historySeries(history, sinceMs, (p) => pointValues(p)[metric.id]), { width: 100, height: 20 })}
+    </div>
+  `;
+  const ratioHtml = (label, ratio) => {
+    const today = analytics.todayRatios?.[ratio] ?? null;
+    const overall = analytics.overallRatios[ratio];
+    const regression = isCostRegression(today, overall);
+    return `
+      <div class="metric">
+        <div class="k">${escapeHtml(t(label))}</div>
+        <div class="v ${regression ? "risk" : ""}">${escapeHtml(formatCost(today))}</div>
+        <div class="muted small">${escapeHtml(t("metricOverall", formatCost(overall)))}${
+          regression ? ` · <span class="risk">${escapeHtml(t("metricRegression", (today / overall).toFixed(1)))}</span>` : ""
+        }</div>
+      </div>
+    `;
+  };
+  const sinceLast = analytics.sinceLast;
+  const sinceLastHtml = `
+    <div class="metric">
+      <div class="k">${escapeHtml(t("metricSinceLast"))}</div>
+      <div class="v">${escapeHtml(formatDelta("cost", sinceLast?.cost ?? null))}</div>
+      <div class="muted small">${
+        sinceLast
+          ? escapeHtml(
+              t("metricSinceLastDetail", [
+                formatDelta("requests", sinceLast.requests),
+                formatDelta("tokens", sinceLast.tokens),
+                formatDuration(sinceLast.spanMs)
+              ])
+            )
+          : "—"
+      }</div>
+    </div>
+  `;
+
+  return `
+    <div class="grid3">
+      ${TOTAL_METRICS.map(metricHtml).join("")}
+    </div>
+
+    <div class="grid3">
+      ${ratioHtml("metricCostPerRequest", "costPerRequest")}
+      ${ratioHtml("metricCostPer1k", "costPer1kTokens")}
+      ${sinceLastHtml}
+    </div>
+  `;
+}
 
-        <div class="subs">${cardsHtml}</div>
+function rangeSelectHtml(rangeHours) {
+  return `
+    <select id="selRange" class="small" title="${escapeHtml(t("trendRange"))}">
+      ${HISTORY_RANGE_OPTIONS.map((o) => `<option value="${o.hours}" ${rangeHours === o.hours ? "selected" : ""}>${o.label}</option>`).join("")}
+    </select>
+  `;
+}
+
+function quotaTrendSeries({ subs, history, sinceMs }) {
+  return subs.map((s, i) => ({
+    label: s.name || t("unnamedSubscription"),
+    color: CHART_COLORS[i % CHART_COLORS.length],
+    series: subHistorySeries(history, sinceMs, subscriptionKey(s), (p) =>
+      typeof p.remaining === "number" && p.total > 0 ? (p.remaining / p.total) * 100 : null
+    )
+  }));
+}
 
-        ${lastError ? `<div class="error">${errorText}</div>` : ""}
+function seriesBounds(series) {
+  const values = series.map((p) => p.v);
+  return values.length ? { minV: Math.min(...values), maxV: Math.max(...values) } : {};
+}
+
+function autoRefreshHtml({ prefs, refreshState }) {
+  return `
+    <div class="row">
+      <div class="muted">${escapeHtml(t("autoRefresh"))}</div>
+      <div style="display:flex; gap:8px; align-items:center;">
+        <label class="pill" style="cursor:pointer;">
+          <input id="toggleAuto" type="checkbox" ${prefs.autoRefresh ? "checked" : ""} style="accent-color: var(--accent);" />
+          <span>${escapeHtml(prefs.autoRefresh ? t("on") : t("off"))}</span>
+        </label>
+        <span class="muted small">${escapeHtml(t("everyNMinutes", prefs.refreshMinutes))}</span>
       </div>
+    </div>
+    <div class="muted small" id="nextRefresh"></div>
+    ${refreshStateLines(refreshState).map((line) => `<div class="risk small">${escapeHtml(line)}</div>`).join("")}
+  `;
+}
 
-      <div class="footer">
-        <div class="muted small">不会保存你的 Token/密钥，只缓存页面上的数字。</div>
-        <div style="display:flex; gap:8px;">
-          <button id="btnCopy" class="small">复制摘要</button>
-        </div>
+function subsToolbarHtml({ subs, view, endpointFilter }) {
+  if (!subs.length) return "";
+  const allEndpoints = Array.from(new Set([...subs.flatMap(endpointTitles), ...(endpointFilter ? [endpointFilter] : [])]));
+  return `
+    <div class="row">
+      <select id="selSort" class="small" title="${escapeHtml(t("sortLabel"))}">
+        ${SUBSCRIPTION_SORT_OPTIONS.map(
+          (o) => `<option value="${o.value}" ${view.subscriptionSort === o.value ? "selected" : ""}>${escapeHtml(t(o.message))}</option>`
+        ).join("")}
+      </select>
+      <select id="selEndpoint" class="small" title="${escapeHtml(t("filterLabel"))}">
+        <option value="">${escapeHtml(t("filterAll"))}</option>
+        ${allEndpoints
+          .map((e) => `<option value="${escapeHtml(e)}" ${endpointFilter === e ? "selected" : ""}>${escapeHtml(e)}</option>`)
+          .join("")}
+      </select>
+    </div>
+  `;
+}
+
+// The "nothing to show" line for the subscription list, or "" when there are subscriptions to show.
+function subsEmptyHtml({ subs, visibleSubs, endpointFilter }) {
+  if (!subs.length) return `<div class="muted small">${escapeHtml(t("noSubscriptions"))}</div>`;
+  if (!visibleSubs.length) return `<div class="muted small">${escapeHtml(t("filterNoMatch", endpointFilter))}</div>`;
+  return "";
+}
+
+function exportFieldsHtml(exportRange) {
+  return `
+    <label class="setting-row">
+      <span class="muted small">${escapeHtml(t("exportFrom", displayTimeZone()))}</span>
+      <input id="exportFrom" type="date" value="${escapeHtml(exportRange?.from || "")}" />
+    </label>
+    <label class="setting-row">
+      <span class="muted small">${escapeHtml(t("exportTo", displayTimeZone()))}</span>
+      <input id="exportTo" type="date" value="${escapeHtml(exportRange?.to || "")}" />
+    </label>
+    <div class="row">
+      <div class="muted small">${escapeHtml(t("exportHint"))}</div>
+      <div style="display:flex; gap:8px;">
+        <button id="btnExportCsv" class="small">CSV</button>
+        <button id="btnExportJson" class="small">JSON</button>
       </div>
     </div>
   `;
+}
 
-  root.innerHTML = html;
+function visibleError({ lastError, authState }) {
+  return lastError && !(authState && isAuthRequiredError(lastError)) ? lastError : null;
 }
 
-async function main() {
-  let busy = false;
-  let countdownTimer = null;
-  let didLazyRefreshOnOpen = false;
+function footerHtml() {
+  return `
+    <div class="muted small">${escapeHtml(t("privacyNote"))}</div>
+    <div style="display:flex; gap:8px;">
+      <button id="btnOptions" class="small">${escapeHtml(t("settings"))}</button>
+      <button id="btnCopy" class="small">${escapeHtml(t("copySummary"))}</button>
+    </div>
+  `;
+}
 
-  async function refreshUI() {
-    const prefs = await getPrefs();
-    const permitted = await hasPermission();
-    const { data, lastError } = await getData();
-    render({ data, prefs, permitted, lastError, busy });
-
-    const tick = () => {
-      const info = getBeijingResetInfo();
-      const elCountdown = document.querySelector("#resetCountdown");
-      const elNext = document.querySelector("#nextResetAt");
-      if (elCountdown) elCountdown.textContent = info.countdownText;
-      if (elNext) elNext.textContent = info.nextResetAtText;
-    };
-
-    tick();
-    if (countdownTimer) clearInterval(countdownTimer);
-    countdownTimer = setInterval(tick, 1000);
-
-    const btnOpen = document.querySelector("#btnOpen");
-    const btnRefresh = document.querySelector("#btnRefresh");
-    const btnGrant = document.querySelector("#btnGrant");
-    const btnCopy = document.querySelector("#btnCopy");
-    const toggleAuto = document.querySelector("#toggleAuto");
-    const selMinutes = document.querySelector("#selMinutes");
-
-    if (btnOpen) btnOpen.addEventListener("click", () => void openDashboard());
-
-    if (btnRefresh) {
-      btnRefresh.addEventListener("click", () => {
-        void runRefresh("manual_click");
-      });
-    }
+// innerHTML replacement that keeps <details id="..."> elements open across re-renders.
+function replaceHtml(el, html) {
+  const openDetails = Array.from(el.querySelectorAll("details[id]"))
+    .filter((d) => d.open)
+    .map((d) => d.id);
+  el.innerHTML = html;
+  for (const id of openDetails) {
+    const d = el.querySelector(`#${id}`);
+    if (d) d.open = true;
+  }
+}
 
-    if (btnGrant) {
-      btnGrant.addEventListener("click", () => {
-        void (async () => {
-          const ok = await requestPermission();
-          if (ok) {
-            await chrome.runtime.sendMessage({ type: "rcdm_sync_alarm" });
-            didLazyRefreshOnOpen = true;
-            await runRefresh("permission_granted");
-          }
-          await refreshUI();
-        })();
-      });
+function popupTrendHtml(ctx) {
+  return `
+    <div class="row">
+      <div class="muted">${escapeHtml(t("trendTitle"))}</div>
+      ${rangeSelectHtml(ctx.rangeHours)}
+    </div>
+    ${lineChartSvg(quotaTrendSeries(ctx))}
+  `;
+}
+
+function subscriptionCardsHtml(ctx) {
+  const cardsHtml =
+    subsEmptyHtml(ctx) ||
+    ctx.visibleSubs
+      .map((s) =>
+        subscriptionCardHtml(s, {
+          prefs: ctx.prefs,
+          history: ctx.history,
+          sinceMs: ctx.sinceMs,
+          fc: ctx.forecastFor(s),
+          endpointFilter: ctx.endpointFilter
+        })
+      )
+      .join("");
+  return `${subsToolbarHtml(ctx)}<div class="subs">${cardsHtml}</div>`;
+}
+
+function errorHtml(ctx) {
+  const error = visibleError(ctx);
+  if (!error) return "";
+  // The raw detail is for bug reports, not for reading; keep it folded away.
+  return `<div class="error">${escapeHtml(describeError(error))}\n${escapeHtml(
+    t("errorAt", [error.code || "error", formatDateTime(error.at)])
+  )}</div>
+    ${
+      error.detail != null
+        ? `<details id="errorDetail">
+            <summary class="muted small">${escapeHtml(t("errorDetails"))}</summary>
+            <pre class="diag">${escapeHtml(JSON.stringify(error.detail, null, 2))}</pre>
+          </details>`
+        : ""
     }
+    <div class="row">
+      <span></span>
+      <button id="btnBugReport" class="small">${escapeHtml(t("copyBugReport"))}</button>
+    </div>`;
+}
 
-    if (toggleAuto) {
-      toggleAuto.addEventListener("change", () => {
-        void (async () => {
-          await setPrefs({ autoRefresh: toggleAuto.checked, autoRefreshExplicit: true });
-          await chrome.runtime.sendMessage({ type: "rcdm_sync_alarm" });
-          await refreshUI();
-        })();
-      });
+function panelSubscriptionsHtml(ctx) {
+  const empty = subsEmptyHtml(ctx);
+  const rows = ctx.visibleSubs
+    .map((s) => subscriptionRowHtml(s, { prefs: ctx.prefs, history: ctx.history, sinceMs: ctx.sinceMs, fc: ctx.forecastFor(s) }))
+    .join("");
+  return `
+    ${subsToolbarHtml(ctx)}
+    ${
+      empty ||
+      `<div class="table-scroll">
+        <table class="subs-table">
+          <thead>
+            <tr>
+              <th>${escapeHtml(t("tableSubscription"))}</th>
+              <th>${escapeHtml(t("labelRemainingQuota"))}</th>
+              <th>${escapeHtml(t("tableUsed"))}</th>
+              <th>${escapeHtml(t("labelExpiresAt"))}</th>
+              <th>${escapeHtml(t("labelResetStatus"))}</th>
+              <th>${escapeHtml(t("labelDepletion"))}</th>
+              <th>${escapeHtml(t("tableTrend"))}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`
     }
+  `;
+}
 
-    if (selMinutes) {
-      selMinutes.addEventListener("change", () => {
-        void (async () => {
-          await setPrefs({ refreshMinutes: Number(selMinutes.value) });
-          await chrome.runtime.sendMessage({ type: "rcdm_sync_alarm" });
-          await refreshUI();
-        })();
-      });
+function panelChartsHtml(ctx) {
+  const balanceSeries = historySeries(ctx.history, ctx.sinceMs, (p) => p.balance);
+  const costSeries = historySeries(ctx.history, ctx.sinceMs, (p) => pointValues(p).cost);
+  const chart = (title, seriesList, bounds) => `
+    <div class="trend">
+      <div class="muted small">${escapeHtml(title)}</div>
+      ${lineChartSvg(seriesList, { width: 480, height: 120, ...bounds })}
+    </div>
+  `;
+  return `
+    <div class="row">
+      <div class="muted">${escapeHtml(t("trendRange"))}</div>
+      ${rangeSelectHtml(ctx.rangeHours)}
+    </div>
+    ${chart(t("trendTitle"), quotaTrendSeries(ctx))}
+    ${chart(t("chartBalanceTitle"), [{ label: t("balance"), color: CHART_COLORS[1], series: balanceSeries }], seriesBounds(balanceSeries))}
+    ${chart(t("chartCostTitle"), [{ label: t("totalCost"), color: CHART_COLORS[2], series: costSeries }], seriesBounds(costSeries))}
+  `;
+}
+
+const RESET_OUTCOMES = {
+  on_time: { message: "resetOnTime", dot: "" },
+  late: { message: "resetLate", dot: "bad" },
+  missed: { message: "resetMissed", dot: "bad" },
+  unknown: { message: "resetUnknown", dot: "idle" }
+};
+
+function panelResetsHtml({ prefs, resetChecks }) {
+  const hint = prefs.resetCheck.enabled ? t("panelResetsHint", prefs.resetCheck.graceMinutes) : t("panelResetsOff");
+  const rows = resetChecks.slice(0, PANEL_RESETS_LIMIT).map((record) => {
+    const outcome = RESET_OUTCOMES[record.outcome] || RESET_OUTCOMES.unknown;
+    const label =
+      record.outcome === "late"
+        ? t("resetLateBy", formatDuration(Date.parse(record.confirmedAt) - Date.parse(record.resetAt)))
+        : t(outcome.message);
+    return `
+      <tr>
+        <td title="${escapeHtml(formatDateTime(record.resetAt))}">${escapeHtml(record.day)}</td>
+        <td class="name">${escapeHtml(record.name || "?")}</td>
+        <td><span class="pill"><span class="dot ${outcome.dot}"></span><span>${escapeHtml(label)}</span></span></td>
+        <td class="muted" title="${escapeHtml(t("resetCheckedAt", formatDateTime(record.checkedAt)))}">${escapeHtml(
+          t("resetDetail", [record.resetStatus || "—", formatCost(record.baseline), formatCost(record.remaining)])
+        )}</td>
+      </tr>
+    `;
+  });
+  return `
+    <div class="muted small">${escapeHtml(hint)}</div>
+    ${rows.length ? `<table class="log small"><tbody>${rows.join("")}</tbody></table>` : ""}
+  `;
+}
+
+// Message and substitutions for each account event type (see lib/events.js).
+const EVENT_TEXT = {
+  recharge: (e) => ["eventRecharge", [formatCost(e.from), formatCost(e.to)]],
+  subscription_added: (e) => ["eventSubscriptionAdded", [e.name || "?", e.to || "—"]],
+  subscription_removed: (e) => ["eventSubscriptionRemoved", [e.name || "?"]],
+  renewed: (e) => ["eventRenewed", [e.name || "?", e.from, e.to]],
+  reset_status: (e) => ["eventResetStatus", [e.name || "?", e.from, e.to]],
+  quota_reset: (e) => ["eventQuotaReset", [e.name || "?", formatCost(e.to)]]
+};
+
+function panelEventsHtml(ctx) {
+  const rows = ctx.events
+    .filter((e) => EVENT_TEXT[e.type])
+    .slice(0, PANEL_EVENTS_LIMIT)
+    .map((e) => {
+      const [message, subs] = EVENT_TEXT[e.type](e);
+      const span = e.since ? t("eventWindow", [formatDateTime(e.since), formatDateTime(e.at)]) : "";
+      return `
+        <tr>
+          <td title="${escapeHtml(span)}">${escapeHtml(formatDateTime(e.at))}</td>
+          <td>${escapeHtml(t(message, subs))}</td>
+        </tr>
+      `;
+    });
+  return `
+    <div class="muted small">${escapeHtml(t("panelEventsHint"))}</div>
+    ${rows.length ? `<table class="log small"><tbody>${rows.join("")}</tbody></table>` : `<div class="muted small">${escapeHtml(t("eventsEmpty"))}</div>`}
+  `;
+}
+
+const LOG_OUTCOMES = {
+  ok: { message: "logRefreshOk", dot: "" },
+  failed: { message: "logFailed", dot: "bad" },
+  cancelled: { message: "logCancelled", dot: "idle" }
+};
+
+function refreshLogRowHtml(entry) {
+  const outcome = LOG_OUTCOMES[entry.outcome] || LOG_OUTCOMES.failed;
+  const strategy = [entry.fallbackFrom, entry.strategy].filter(Boolean).join(" → ") || "—";
+  return `
+    <tr>
+      <td>${escapeHtml(formatDateTime(entry.at))}</td>
+      <td><span class="pill"><span class="dot ${outcome.dot}"></span><span>${escapeHtml(t(outcome.message))}</span></span></td>
+      <td>
+        <div class="muted">${escapeHtml(
+          t("logRunDetail", [entry.reason, strategy, (entry.durationMs / 1000).toFixed(1), entry.attempts, entry.retries])
+        )}</div>
+        ${entry.outcome === "failed" ? `<div class="risk">${escapeHtml(`${entry.code}: ${describeError(entry)}`)}</div>` : ""}
+        ${
+          entry.diagnostics
+            ? `<details id="diag-${escapeHtml(entry.id)}">
+                <summary class="muted small">${escapeHtml(t("logDiagnostics"))}</summary>
+                <pre class="diag">${escapeHtml(JSON.stringify(entry.diagnostics, null, 2))}</pre>
+              </details>`
+            : ""
+        }
+      </td>
+    </tr>
+  `;
+}
+
+function panelLogHtml(ctx) {
+  const error = visibleError(ctx);
+  const rows = ctx.refreshLog.slice(0, PANEL_LOG_LIMIT).map(refreshLogRowHtml);
+  return `
+    <div class="row">
+      <div class="muted small">${escapeHtml(t("panelLogHint"))}</div>
+      <button id="btnBugReport" class="small">${escapeHtml(t("copyBugReport"))}</button>
+    </div>
+    ${
+      error
+        ? `<div class="error">${escapeHtml(describeError(error))}\n${escapeHtml(
+            t("errorAt", [error.code || "error", formatDateTime(error.at)])
+          )}</div>`
+        : ""
     }
+    ${rows.length ? `<table class="log small"><tbody>${rows.join("")}</tbody></table>` : `<div class="muted small">${escapeHtml(t("logEmpty"))}</div>`}
+  `;
+}
+
+// Each component renders one [data-part] node from the UI state fields it lists in `uses`. Every component
+// reads prefs, if only for the language.
+const COMPONENTS = {
+  header: { uses: ["prefs", "data", "busy"], render: headerHtml },
+  notices: { uses: ["prefs", "permitted", "authState", "resetChecks"], render: noticesHtml },
+  progress: { uses: ["prefs", "progress"], render: progressHtml },
+  overview: { uses: ["prefs", "view", "data", "history", "forecast"], render: overviewHtml },
+  metrics: { uses: ["prefs", "view", "data", "history"], render: metricsHtml },
+  trend: { uses: ["prefs", "view", "data", "history"], render: popupTrendHtml },
+  autoRefresh: { uses: ["prefs", "refreshState"], render: autoRefreshHtml },
+  cards: { uses: ["prefs", "view", "data", "history", "forecast"], render: subscriptionCardsHtml },
+  table: { uses: ["prefs", "view", "data", "history", "forecast"], render: panelSubscriptionsHtml },
+  charts: { uses: ["prefs", "view", "data", "history"], render: panelChartsHtml },
+  resets: { uses: ["prefs", "resetChecks"], render: panelResetsHtml },
+  events: { uses: ["prefs", "events"], render: panelEventsHtml },
+  log: { uses: ["prefs", "refreshLog", "lastError", "authState"], render: panelLogHtml },
+  export: { uses: ["prefs"], render: (ctx) => exportFieldsHtml(ctx.exportRange) },
+  error: { uses: ["prefs", "lastError", "authState"], render: errorHtml },
+  footer: { uses: ["prefs"], render: footerHtml },
+  ...Object.fromEntries(
+    PANEL_SECTIONS.map((id) => [`${id}Title`, { uses: ["prefs"], render: () => escapeHtml(t(PANEL_SECTION_MESSAGES[id])) }])
+  )
+};
+
+// The popup is the compact glance view; the side panel has room for sections, tables and charts.
+const POPUP_LAYOUT = `
+  <div class="card">
+    <div class="header" data-part="header"></div>
+    <div class="content">
+      <div class="part" data-part="progress"></div>
+      <div class="part" data-part="notices"></div>
+      <div class="part" data-part="overview"></div>
+      <div class="part" data-part="metrics"></div>
+      <div class="trend" data-part="trend"></div>
+      <div class="part" data-part="autoRefresh"></div>
+      <div class="part" data-part="cards"></div>
+      <details class="settings" id="exportSettings">
+        <summary class="muted" data-part="exportTitle"></summary>
+        <div class="settings-body" data-part="export"></div>
+      </details>
+      <div class="part" data-part="error"></div>
+    </div>
+    <div class="footer" data-part="footer"></div>
+  </div>
+`;
+
+const PANEL_SECTION_PARTS = {
+  overview: ["overview", "metrics", "autoRefresh"],
+  subscriptions: ["table"],
+  charts: ["charts"],
+  resets: ["resets"],
+  events: ["events"],
+  log: ["log"],
+  export: ["export"]
+};
+
+function panelLayout(collapsed) {
+  return `
+    <div class="card panel">
+      <div class="header" data-part="header"></div>
+      <div class="content">
+        <div class="part" data-part="progress"></div>
+        <div class="notices" data-part="notices"></div>
+        ${PANEL_SECTIONS.map(
+          (id) => `
+            <details class="panel-section" data-section="${id}" ${collapsed.includes(id) ? "" : "open"}>
+              <summary data-part="${id}Title"></summary>
+              <div class="section-body">
+                ${PANEL_SECTION_PARTS[id].map((part) => `<div class="part" data-part="${part}"></div>`).join("")}
+              </div>
+            </details>
+          `
+        ).join("")}
+      </div>
+      <div class="footer" data-part="footer"></div>
+    </div>
+  `;
+}
+
+const renderedParts = new WeakMap();
+
+// Re-renders the components that read one of the `changed` state fields, and of those only touches the nodes
+// whose markup actually changed, so a live update leaves focus, open <select>s and the scroll position alone.
+function render(root, state, changed) {
+  // The layout is built once; after that the <details> open state belongs to the user.
+  if (!root.firstElementChild) {
+    root.innerHTML = document.body.dataset.view === "panel" ? panelLayout(state.view.panelCollapsed) : POPUP_LAYOUT;
+  }
 
-    if (btnCopy) {
-      btnCopy.addEventListener("click", () => {
-        void (async () => {
-          const payload = (await getData()).data;
-          await navigator.clipboard.writeText(buildSummaryText(payload));
-          btnCopy.textContent = "已复制";
-          setTimeout(() => {
-            btnCopy.textContent = "复制摘要";
-          }, 1200);
-        })();
-      });
+  const ctx = viewContext(state);
+  const { scrollX, scrollY } = window;
+  for (const el of root.querySelectorAll("[data-part]")) {
+    const component = COMPONENTS[el.dataset.part];
+    if (renderedParts.has(el) && !component.uses.some((field) => changed.has(field))) continue;
+    const html = component.render(ctx);
+    if (renderedParts.get(el) === html) continue;
+    replaceHtml(el, html);
+    renderedParts.set(el, html);
+  }
+  if (window.scrollX !== scrollX || window.scrollY !== scrollY) window.scrollTo(scrollX, scrollY);
+}
+
+// Which UI state field each watched storage key feeds; changes to any other key are ignored.
+const STORAGE_FIELDS = {
+  local: {
+    [DATA_KEY]: "data",
+    [LAST_ERROR_KEY]: "lastError",
+    [HISTORY_KEY]: "history",
+    [FORECAST_KEY]: "forecast",
+    [AUTH_STATE_KEY]: "authState",
+    [REFRESH_LOG_KEY]: "refreshLog",
+    [EVENTS_KEY]: "events",
+    [RESET_CHECKS_KEY]: "resetChecks",
+    [VIEW_STATE_KEY]: "view"
+  },
+  session: { [REFRESH_STATE_KEY]: "refreshState", [SCHEDULE_PLAN_KEY]: "schedulePlan" },
+  sync: { [PREFS_KEY]: "prefs" }
+};
+
+// State fields that hold arrays; a removed key reads as an empty list rather than null.
+const LIST_FIELDS = new Set(["history", "refreshLog", "events", "resetChecks"]);
+
+async function main() {
+  const root = document.querySelector("#app");
+  if (!root) return;
+
+  const state = {
+    prefs: null,
+    view: null,
+    permitted: false,
+    busy: false,
+    exportRange: null,
+    data: null,
+    lastError: null,
+    history: [],
+    refreshLog: [],
+    events: [],
+    resetChecks: [],
+    forecast: null,
+    authState: null,
+    refreshState: null,
+    schedulePlan: null,
+    progress: null
+  };
+  let didLazyRefreshOnOpen = false;
+  const changed = new Set();
+  let renderQueued = false;
+
+  function setState(patch) {
+    for (const [field, value] of Object.entries(patch)) {
+      state[field] = value;
+      changed.add(field);
     }
+    // Storage events often arrive in bursts (a refresh writes several keys); they share one render.
+    if (renderQueued) return;
+    renderQueued = true;
+    queueMicrotask(() => {
+      renderQueued = false;
+      // Storage events can arrive while main() is still loading; the first render waits for the prefs.
+      if (!state.prefs || !state.view) return;
+      render(root, state, changed);
+      changed.clear();
+      tick();
+    });
+  }
+
+  // Validated prefs, with the language and display time zone applied before anything renders with them.
+  async function loadPrefs() {
+    const prefs = await getPrefs();
+    await setLanguage(prefs.language);
+    setDisplayTimeZone(prefs.displayTimeZone);
+    document.documentElement.lang = intlLocale();
+    return prefs;
   }
 
+  function tick() {
+    const { prefs, data, schedulePlan } = state;
+    if (!prefs) return;
+    const info = getResetInfo(prefs, Array.isArray(data?.subscriptions) ? data.subscriptions : []);
+    const elCountdown = root.querySelector("#resetCountdown");
+    const elNext = root.querySelector("#nextResetAt");
+    const elNextRefresh = root.querySelector("#nextRefresh");
+    if (elCountdown) elCountdown.textContent = info.countdownText;
+    if (elNext) elNext.textContent = info.nextResetAtText;
+    if (elNextRefresh) elNextRefresh.textContent = prefs.autoRefresh ? describeSchedulePlan(schedulePlan) : "";
+    const elElapsed = root.querySelector("#progressElapsed");
+    if (elElapsed && state.progress) elElapsed.textContent = formatHms(Date.now() - state.progress.startedAt);
+  }
+
+  // The service worker may be stopped between refreshes, which closes the port; it is reopened when the next
+  // refresh takes the lock, and the worker replays the stages so far.
+  let progressPort = null;
+  function connectProgress() {
+    if (progressPort) return;
+    progressPort = chrome.runtime.connect({ name: PROGRESS_PORT });
+    progressPort.onMessage.addListener((message) => {
+      if (message?.type === "rcdm_progress") setState({ progress: message.run });
+    });
+    progressPort.onDisconnect.addListener(() => {
+      progressPort = null;
+      setState({ progress: null });
+    });
+  }
+
+  const exportFileStem = () => `rightcodes-${state.exportRange.from || "all"}_${state.exportRange.to || "now"}`;
+
+  const clickHandlers = {
+    btnOpen: () => void openDashboard(),
+    btnRefresh: () => void runRefresh("manual_click"),
+    btnGrant: () => {
+      void (async () => {
+        const ok = await requestPermission();
+        if (!ok) return;
+        await chrome.runtime.sendMessage({ type: "rcdm_sync_alarm" });
+        didLazyRefreshOnOpen = true;
+        await runRefresh("permission_granted");
+      })();
+    },
+    btnRelogin: () => void relogin(),
+    btnCancelRefresh: () => {
+      if (state.progress) progressPort?.postMessage({ type: "rcdm_cancel_refresh", runId: state.progress.id });
+    },
+    btnExportCsv: () => {
+      const { fromMs, toMs } = exportRangeMs(state.exportRange);
+      const csv = buildHistoryCsv(state.history.filter((p) => p.t >= fromMs && p.t <= toMs));
+      // BOM so spreadsheet apps detect UTF-8 (subscription names are usually Chinese).
+      downloadFile(`${exportFileStem()}.csv`, `\ufeff${csv}`, "text/csv;charset=utf-8");
+    },
+    btnExportJson: () => {
+      const json = buildExportJson({ data: state.data, history: state.history, range: state.exportRange });
+      downloadFile(`${exportFileStem()}.json`, json, "application/json");
+    },
+    btnOptions: () => void chrome.runtime.openOptionsPage(),
+    btnCopy: (btnCopy) => {
+      void (async () => {
+        await navigator.clipboard.writeText(buildSummaryText(state.data, state.history));
+        flashCopied(btnCopy, "copySummary");
+      })();
+    },
+    btnBugReport: (btnBugReport) => {
+      void (async () => {
+        const report = await chrome.runtime.sendMessage({ type: "rcdm_get_bug_report" });
+        if (!report?.ok) return;
+        await navigator.clipboard.writeText(report.text);
+        flashCopied(btnBugReport, "copyBugReport");
+      })();
+    }
+  };
+
+  const changeHandlers = {
+    toggleAuto: (toggleAuto) => {
+      void (async () => {
+        await setPrefs({ autoRefresh: toggleAuto.checked, autoRefreshExplicit: true });
+        await chrome.runtime.sendMessage({ type: "rcdm_sync_alarm" });
+      })();
+    },
+    selRange: (selRange) => void setViewState({ historyRangeHours: Number(selRange.value) }),
+    selSort: (selSort) => void setViewState({ subscriptionSort: selSort.value }),
+    selEndpoint: (selEndpoint) => void setViewState({ endpointFilter: selEndpoint.value }),
+    // Mutated in place rather than through setState: re-rendering the inputs while the user picks dates would
+    // steal focus, and nothing else on screen depends on the range.
+    exportFrom: (exportFrom) => (state.exportRange.from = exportFrom.value),
+    exportTo: (exportTo) => (state.exportRange.to = exportTo.value)
+  };
+
+  // Bound once on #app: nodes that did not change survive renders, so per-render listeners would stack up.
+  root.addEventListener("click", (event) => {
+    const button = event.target.closest("button[id]");
+    if (button) clickHandlers[button.id]?.(button);
+  });
+  root.addEventListener("change", (event) => changeHandlers[event.target.id]?.(event.target));
+  // "toggle" does not bubble, hence the capture listener.
+  root.addEventListener(
+    "toggle",
+    (event) => {
+      if (!event.target.matches("details[data-section]") || !state.view) return;
+      const collapsed = Array.from(root.querySelectorAll("details[data-section]"))
+        .filter((el) => !el.open)
+        .map((el) => el.dataset.section);
+      if (collapsed.join() !== state.view.panelCollapsed.join()) void setViewState({ panelCollapsed: collapsed });
+    },
+    true
+  );
+
   async function runRefresh(reason) {
-    busy = true;
-    await refreshUI();
+    setState({ busy: true });
     try {
       await chrome.runtime.sendMessage({ type: "rcdm_refresh", reason });
     } finally {
-      busy = false;
-      await refreshUI();
+      setState({ busy: false });
     }
   }
 
@@ -345,12 +1343,48 @@ async function main() {
     await runRefresh("ui_open");
   }
 
-  chrome.storage.onChanged.addListener((_changes, areaName) => {
-    if (areaName !== "local" && areaName !== "sync") return;
-    void refreshUI();
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    const fields = STORAGE_FIELDS[areaName] || {};
+    const patch = {};
+    for (const [key, change] of Object.entries(changes)) {
+      const field = fields[key];
+      if (!field || field === "prefs") continue;
+      if (field === "view") patch.view = validateViewState(change.newValue).view;
+      else patch[field] = LIST_FIELDS.has(field) ? (Array.isArray(change.newValue) ? change.newValue : []) : (change.newValue ?? null);
+    }
+    if (Object.keys(patch).length) setState(patch);
+    if (patch.refreshState?.lockedUntil > Date.now()) connectProgress();
+    if (fields[PREFS_KEY] && changes[PREFS_KEY]) void loadPrefs().then((prefs) => setState({ prefs }));
   });
 
-  await refreshUI();
+  const syncPermission = () => void hasPermission().then((permitted) => setState({ permitted }));
+  chrome.permissions.onAdded.addListener(syncPermission);
+  chrome.permissions.onRemoved.addListener(syncPermission);
+
+  const prefs = await loadPrefs();
+  const view = await getViewState();
+  const permitted = await hasPermission();
+  const { data, lastError, history, refreshLog, events, resetChecks, forecast, refreshState, schedulePlan, authState } =
+    await getData();
+  // Dates are picked in the display zone, so the default range waits for the prefs.
+  setState({
+    prefs,
+    view,
+    permitted,
+    exportRange: defaultExportRange(),
+    data,
+    lastError,
+    history,
+    refreshLog,
+    events,
+    resetChecks,
+    forecast,
+    refreshState,
+    schedulePlan,
+    authState
+  });
+  setInterval(tick, 1000);
+  connectProgress();
   await lazyRefreshOnOpen();
 }
 
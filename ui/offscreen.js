@@ -0,0 +1,10 @@
+// Offscreen document opened by sw.js to write the clipboard, which a service worker cannot do.
+// navigator.clipboard needs a focused document and an offscreen one never gets focus, so this uses execCommand.
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.type !== "rcdm_offscreen_copy") return;
+  const el = document.querySelector("#clipboard");
+  el.value = String(message.text ?? "");
+  el.select();
+  sendResponse({ ok: document.execCommand("copy") });
+});
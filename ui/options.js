@@ -0,0 +1,652 @@
+import { LANGUAGES, intlLocale, setLanguage, t } from "../lib/i18n.js";
+import {
+  NOTIFY_RULE_LIMITS,
+  PREFS_KEY,
+  REFRESH_MINUTES_MAX,
+  REFRESH_MINUTES_MIN,
+  getPrefs,
+  resetPrefs,
+  validatePrefs
+} from "../lib/prefs.js";
+import { RESET_GRACE_MINUTES_MAX, RESET_GRACE_MINUTES_MIN } from "../lib/resets.js";
+import { describeSchedulePlan, getSchedulePlan } from "../lib/schedule.js";
+import { subscriptionKey } from "../lib/subscriptions.js";
+import { browserTimeZone, formatDateTime, setDisplayTimeZone, supportedTimeZones } from "../lib/time.js";
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_LOG_KEY,
+  WEBHOOKS_MAX,
+  getWebhooks,
+  newWebhook,
+  setWebhooks,
+  validateWebhooks,
+  webhookOriginPattern
+} from "../lib/webhooks.js";
+
+const DATA_KEY = "rcdm_data";
+const AUTO_REFRESH_ALARM = "rcdm_auto_refresh";
+const ORIGINS = ["https://right.codes/*", "https://www.right.codes/*"];
+
+const REFRESH_MINUTES_PRESETS = [1, 2, 5, 10, 15, 30, 60];
+
+const NOTIFY_NUMBER_RULES = [
+  { key: "quotaBelowAmount", message: "ruleQuotaBelowAmount" },
+  { key: "quotaBelowPercent", message: "ruleQuotaBelowPercent" },
+  { key: "remainingDaysBelow", message: "ruleRemainingDaysBelow" },
+  { key: "balanceBelow", message: "ruleBalanceBelow" }
+];
+
+const LANGUAGE_MESSAGES = {
+  auto: "languageAuto",
+  zh_CN: "languageZhCN",
+  en: "languageEn"
+};
+
+const ERROR_MESSAGES = {
+  out_of_range: "errOutOfRange",
+  invalid_option: "errInvalidOption",
+  invalid_boolean: "errInvalidBoolean",
+  invalid_timezone: "errInvalidTimezone",
+  invalid_time: "errInvalidTime",
+  invalid_extension_id: "errInvalidExtensionId",
+  invalid_origin: "errInvalidOrigin",
+  invalid_url: "errInvalidUrl",
+  invalid_template: "errInvalidTemplate"
+};
+
+const WEBHOOK_EVENT_MESSAGES = {
+  snapshot: "webhookEventSnapshot",
+  alert: "webhookEventAlert"
+};
+const WEBHOOK_LOG_SHOWN = 20;
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+async function getSubscriptions() {
+  const stored = await chrome.storage.local.get({ [DATA_KEY]: null });
+  const subs = stored[DATA_KEY]?.subscriptions;
+  return Array.isArray(subs) ? subs : [];
+}
+
+async function describeAlarm(prefs) {
+  const alarm = await chrome.alarms.get(AUTO_REFRESH_ALARM);
+  const plan = prefs.autoRefresh ? await getSchedulePlan() : null;
+  const why = plan && (prefs.scheduleMode === "adaptive" || !plan.at) ? describeSchedulePlan(plan) : "";
+  // The alarm is dropped while signed out (and, in adaptive mode, while idle); the plan says so.
+  if (!alarm) {
+    if (why) return why;
+    if (!prefs.autoRefresh) return t("alarmDisabled");
+    return t((await chrome.permissions.contains({ origins: ORIGINS })) ? "alarmNotScheduled" : "alarmNoPermission");
+  }
+  const period = alarm.periodInMinutes ? t("alarmPeriod", alarm.periodInMinutes) : "";
+  return `${t("alarmNext", formatDateTime(alarm.scheduledTime))}${period}${why ? ` · ${why}` : ""}`;
+}
+
+function checkbox(id, checked, label) {
+  return `
+    <label class="setting-row" style="cursor:pointer;">
+      <span>${escapeHtml(label)}</span>
+      <input id="${id}" type="checkbox" ${checked ? "checked" : ""} style="accent-color: var(--accent);" />
+    </label>
+  `;
+}
+
+function fieldError(name) {
+  return `<div class="error small" data-error-for="${escapeHtml(name)}" hidden></div>`;
+}
+
+function subscriptionResetRows(prefs, subs) {
+  if (!subs.length) return `<div class="muted small">${escapeHtml(t("subscriptionResetsEmpty"))}</div>`;
+  return subs
+    .map((s) => {
+      const key = subscriptionKey(s);
+      const own = prefs.subscriptionResets[key] || {};
+      return `
+        <div class="setting-row" data-reset-key="${escapeHtml(key)}">
+          <span>${escapeHtml(s.name || t("unnamedSubscription"))}</span>
+          <span style="display:flex; gap:6px;">
+            <input type="text" list="timeZones" data-reset-field="timeZone" value="${escapeHtml(own.timeZone || "")}" placeholder="${escapeHtml(prefs.resetSchedule.timeZone)}" />
+            <input type="time" data-reset-field="time" value="${escapeHtml(own.time || "")}" />
+          </span>
+        </div>
+        ${fieldError(`subscriptionResets.${key}`)}
+      `;
+    })
+    .join("");
+}
+
+function webhookEditorHtml(hook) {
+  const id = escapeHtml(hook.id);
+  return `
+    <div class="webhook" data-webhook-id="${id}">
+      <div class="row">
+        <input type="text" data-webhook-field="name" value="${escapeHtml(hook.name)}" placeholder="${escapeHtml(t("webhookNamePlaceholder"))}" />
+        <label class="small" style="cursor:pointer;">
+          <input type="checkbox" data-webhook-field="enabled" ${hook.enabled ? "checked" : ""} style="accent-color: var(--accent);" />
+          ${escapeHtml(t("webhookEnabled"))}
+        </label>
+      </div>
+      <input type="url" class="wide" data-webhook-field="url" value="${escapeHtml(hook.url)}" placeholder="https://example.com/hooks/rightcodes" />
+      ${fieldError(`${hook.id}.url`)}
+      <div class="row">
+        <div class="small">
+          ${WEBHOOK_EVENTS.map(
+            (e) => `
+            <label style="cursor:pointer; margin-right:8px;">
+              <input type="checkbox" data-webhook-event="${e}" ${hook.events.includes(e) ? "checked" : ""} style="accent-color: var(--accent);" />
+              ${escapeHtml(t(WEBHOOK_EVENT_MESSAGES[e]))}
+            </label>
+          `
+          ).join("")}
+        </div>
+        <input type="password" data-webhook-field="secret" value="${escapeHtml(hook.secret)}" placeholder="${escapeHtml(t("webhookSecretPlaceholder"))}" autocomplete="off" />
+      </div>
+      ${fieldError(`${hook.id}.events`)}
+      ${fieldError(`${hook.id}.secret`)}
+      <textarea data-webhook-field="template" rows="3" spellcheck="false" placeholder="${escapeHtml(t("webhookTemplatePlaceholder"))}">${escapeHtml(
+        hook.template
+      )}</textarea>
+      ${fieldError(`${hook.id}.template`)}
+      <div class="row">
+        <div class="muted small" data-webhook-status></div>
+        <div style="display:flex; gap:8px;">
+          <button class="small" data-webhook-remove>${escapeHtml(t("webhookRemove"))}</button>
+          <button class="small" data-webhook-test>${escapeHtml(t("webhookTest"))}</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function webhookLogHtml(log) {
+  if (!log.length) return `<div class="muted small">${escapeHtml(t("webhookLogEmpty"))}</div>`;
+  return `
+    <table class="log small">
+      ${log
+        .slice(0, WEBHOOK_LOG_SHOWN)
+        .map((e) => {
+          const result = e.ok ? `HTTP ${e.status}` : [e.status ? `HTTP ${e.status}` : "", e.code || ""].filter(Boolean).join(" ");
+          const retry = e.nextRetryAt ? t("webhookLogRetry", formatDateTime(e.nextRetryAt)) : "";
+          return `
+            <tr title="${escapeHtml(e.detail || e.url || "")}">
+              <td class="muted">${escapeHtml(formatDateTime(e.at))}</td>
+              <td>${escapeHtml(e.hookName || e.url || "—")}</td>
+              <td>${escapeHtml(e.event)}${e.attempt > 1 ? ` #${e.attempt}` : ""}</td>
+              <td class="${e.ok ? "" : "risk"}">${escapeHtml(result)}${retry ? ` <span class="muted">${escapeHtml(retry)}</span>` : ""}</td>
+            </tr>
+          `;
+        })
+        .join("")}
+    </table>
+  `;
+}
+
+function readWebhookForm() {
+  return Array.from(document.querySelectorAll("[data-webhook-id]"), (el) => {
+    const field = (name) => el.querySelector(`[data-webhook-field="${name}"]`);
+    return {
+      id: el.dataset.webhookId,
+      name: field("name").value.trim(),
+      url: field("url").value.trim(),
+      enabled: field("enabled").checked,
+      events: Array.from(el.querySelectorAll("[data-webhook-event]"))
+        .filter((box) => box.checked)
+        .map((box) => box.dataset.webhookEvent),
+      secret: field("secret").value,
+      template: field("template").value
+    };
+  });
+}
+
+function render({ prefs, subs, alarmText }) {
+  const root = document.querySelector("#app");
+  if (!root) return;
+
+  const badgeOptions = [
+    { value: "auto", label: t("badgeAuto") },
+    { value: "balance", label: t("balance") },
+    ...subs.map((s) => ({ value: `sub:${subscriptionKey(s)}`, label: s.name || t("unnamedSubscription") }))
+  ];
+  // Keep a saved subscription selectable even if it is not in the latest snapshot.
+  if (!badgeOptions.some((o) => o.value === prefs.badgeSource)) {
+    badgeOptions.push({ value: prefs.badgeSource, label: t("badgeMissing", prefs.badgeSource.slice(4).split("|")[0]) });
+  }
+
+  const timeZoneOptions = supportedTimeZones()
+    .map((z) => `<option value="${escapeHtml(z)}"></option>`)
+    .join("");
+
+  root.innerHTML = `
+    <div class="card options">
+      <div class="header">
+        <div>
+          <div class="title">${escapeHtml(t("optionsTitle"))}</div>
+          <div class="subtitle">${escapeHtml(t("optionsSubtitle"))}</div>
+        </div>
+      </div>
+
+      <div class="content">
+        <section class="section">
+          <h2>${escapeHtml(t("autoRefresh"))}</h2>
+          ${checkbox("autoRefresh", prefs.autoRefresh, t("optAutoRefresh"))}
+          <label class="setting-row">
+            <span>${escapeHtml(t("optRefreshMinutes", [REFRESH_MINUTES_MIN, REFRESH_MINUTES_MAX]))}</span>
+            <input id="refreshMinutes" type="number" min="${REFRESH_MINUTES_MIN}" max="${REFRESH_MINUTES_MAX}" step="1" list="minutePresets" value="${escapeHtml(prefs.refreshMinutes)}" />
+          </label>
+          <datalist id="minutePresets">
+            ${REFRESH_MINUTES_PRESETS.map((m) => `<option value="${m}"></option>`).join("")}
+          </datalist>
+          ${fieldError("refreshMinutes")}
+          <label class="setting-row">
+            <span>${escapeHtml(t("optScheduleMode"))}</span>
+            <select id="scheduleMode">
+              <option value="fixed" ${prefs.scheduleMode === "fixed" ? "selected" : ""}>${escapeHtml(t("scheduleFixedOption"))}</option>
+              <option value="adaptive" ${prefs.scheduleMode === "adaptive" ? "selected" : ""}>${escapeHtml(t("scheduleAdaptiveOption"))}</option>
+            </select>
+          </label>
+          <div class="muted small">${escapeHtml(t("scheduleAdaptiveHint"))}</div>
+          <div class="muted small" id="alarmStatus">${escapeHtml(t("alarmCurrent", alarmText))}</div>
+        </section>
+
+        <section class="section">
+          <h2>${escapeHtml(t("sectionStrategy"))}</h2>
+          <label class="setting-row">
+            <span>${escapeHtml(t("optStrategy"))}</span>
+            <select id="refreshStrategy">
+              <option value="tab" ${prefs.refreshStrategy === "tab" ? "selected" : ""}>${escapeHtml(t("strategyTabOption"))}</option>
+              <option value="api" ${prefs.refreshStrategy === "api" ? "selected" : ""}>${escapeHtml(t("strategyApiOption"))}</option>
+            </select>
+          </label>
+          <div class="muted small" id="strategyApiHint">${escapeHtml(t("strategyApiHint"))}</div>
+          ${checkbox("closeTempTab", prefs.closeTempTab, t("optCloseTempTab"))}
+          ${checkbox("passiveCapture", prefs.passiveCapture, t("optPassiveCapture"))}
+          ${checkbox("captureDiagnostics", prefs.captureDiagnostics, t("optCaptureDiagnostics"))}
+        </section>
+
+        <section class="section">
+          <h2>${escapeHtml(t("sectionBadge"))}</h2>
+          <label class="setting-row">
+            <span>${escapeHtml(t("optBadgeSource"))}</span>
+            <select id="badgeSource">
+              ${badgeOptions
+                .map((o) => `<option value="${escapeHtml(o.value)}" ${prefs.badgeSource === o.value ? "selected" : ""}>${escapeHtml(o.label)}</option>`)
+                .join("")}
+            </select>
+          </label>
+          ${fieldError("badgeSource")}
+        </section>
+
+        <section class="section">
+          <h2>${escapeHtml(t("sectionNotify"))}</h2>
+          ${checkbox("notifyEnabled", prefs.notifyRules.enabled, t("optNotifyEnabled"))}
+          ${NOTIFY_NUMBER_RULES.map(
+            (r) => `
+            <label class="setting-row">
+              <span>${escapeHtml(t(r.message))}</span>
+              <input type="number" min="0" max="${NOTIFY_RULE_LIMITS[r.key]}" step="any" data-notify-rule="${r.key}" value="${escapeHtml(
+                prefs.notifyRules[r.key] ?? ""
+              )}" placeholder="${escapeHtml(t("ruleOff"))}" />
+            </label>
+            ${fieldError(`notifyRules.${r.key}`)}
+          `
+          ).join("")}
+          ${checkbox("notifyResetPending", prefs.notifyRules.resetPending, t("optNotifyResetPending"))}
+          <div class="muted small">${escapeHtml(t("notifyDedupHint"))}</div>
+        </section>
+
+        <section class="section">
+          <h2>${escapeHtml(t("sectionTime"))}</h2>
+          <label class="setting-row">
+            <span>${escapeHtml(t("optDisplayTimeZone", browserTimeZone()))}</span>
+            <input id="displayTimeZone" type="text" list="displayTimeZones" value="${escapeHtml(prefs.displayTimeZone)}" />
+          </label>
+          ${fieldError("displayTimeZone")}
+          <label class="setting-row">
+            <span>${escapeHtml(t("optResetTimeZone"))}</span>
+            <input id="resetTimeZone" type="text" list="timeZones" value="${escapeHtml(prefs.resetSchedule.timeZone)}" />
+          </label>
+          ${fieldError("resetSchedule.timeZone")}
+          <label class="setting-row">
+            <span>${escapeHtml(t("optResetTime"))}</span>
+            <input id="resetTime" type="time" value="${escapeHtml(prefs.resetSchedule.time)}" />
+          </label>
+          ${fieldError("resetSchedule.time")}
+          ${checkbox("resetCheckEnabled", prefs.resetCheck.enabled, t("optResetCheck"))}
+          <label class="setting-row">
+            <span>${escapeHtml(t("optResetGraceMinutes", [RESET_GRACE_MINUTES_MIN, RESET_GRACE_MINUTES_MAX]))}</span>
+            <input id="resetGraceMinutes" type="number" min="${RESET_GRACE_MINUTES_MIN}" max="${RESET_GRACE_MINUTES_MAX}" step="1" value="${escapeHtml(prefs.resetCheck.graceMinutes)}" />
+          </label>
+          ${fieldError("resetCheck.graceMinutes")}
+          <div class="muted small">${escapeHtml(t("subscriptionResetsHint"))}</div>
+          ${subscriptionResetRows(prefs, subs)}
+          <datalist id="timeZones">${timeZoneOptions}</datalist>
+          <datalist id="displayTimeZones"><option value="auto"></option>${timeZoneOptions}</datalist>
+        </section>
+
+        <section class="section">
+          <h2>${escapeHtml(t("sectionExternalApi"))}</h2>
+          ${checkbox("externalApiEnabled", prefs.externalApi.enabled, t("optExternalApiEnabled"))}
+          <div class="muted small">${escapeHtml(t("externalApiHint", chrome.runtime.id))}</div>
+          <label class="small" for="externalApiIds">${escapeHtml(t("optExternalApiIds"))}</label>
+          <textarea id="externalApiIds" rows="2" spellcheck="false" placeholder="abcdefghijklmnopabcdefghijklmnop">${escapeHtml(
+            prefs.externalApi.allowedIds.join("\n")
+          )}</textarea>
+          ${fieldError("externalApi.allowedIds")}
+          <label class="small" for="externalApiOrigins">${escapeHtml(t("optExternalApiOrigins"))}</label>
+          <textarea id="externalApiOrigins" rows="2" spellcheck="false" placeholder="http://localhost:3000">${escapeHtml(
+            prefs.externalApi.allowedOrigins.join("\n")
+          )}</textarea>
+          ${fieldError("externalApi.allowedOrigins")}
+        </section>
+
+        <section class="section" id="webhookSection">
+          <h2>${escapeHtml(t("sectionWebhooks"))}</h2>
+          <div class="muted small">${escapeHtml(t("webhooksHint"))}</div>
+          <div id="webhookList"></div>
+          ${fieldError("webhooks")}
+          <div class="row">
+            <div class="muted small" id="webhookStatus"></div>
+            <div style="display:flex; gap:8px;">
+              <button id="btnWebhookAdd" class="small">${escapeHtml(t("webhookAdd"))}</button>
+              <button id="btnWebhooksSave" class="small primary">${escapeHtml(t("webhooksSave"))}</button>
+            </div>
+          </div>
+          <div class="row">
+            <h3>${escapeHtml(t("webhookLogTitle"))}</h3>
+            <button id="btnWebhookLogClear" class="small">${escapeHtml(t("webhookLogClear"))}</button>
+          </div>
+          <div id="webhookLog"></div>
+        </section>
+
+        <section class="section">
+          <h2>${escapeHtml(t("sectionLanguage"))}</h2>
+          <label class="setting-row">
+            <span>${escapeHtml(t("optLanguage"))}</span>
+            <select id="language">
+              ${LANGUAGES.map(
+                (l) => `<option value="${l}" ${prefs.language === l ? "selected" : ""}>${escapeHtml(t(LANGUAGE_MESSAGES[l]))}</option>`
+              ).join("")}
+            </select>
+          </label>
+          ${fieldError("language")}
+        </section>
+
+        <div class="row">
+          <div class="muted small" id="saveStatus"></div>
+          <div style="display:flex; gap:8px;">
+            <button id="btnReset">${escapeHtml(t("resetDefaults"))}</button>
+            <button id="btnSave" class="primary">${escapeHtml(t("save"))}</button>
+          </div>
+        </div>
+
+        <section class="section">
+          <h2>${escapeHtml(t("sectionSchema"))}</h2>
+          <div class="muted small" id="schemaInfo">—</div>
+          <textarea id="schemaInput" rows="8" spellcheck="false" placeholder='{"version": 2, "labels": {...}}'></textarea>
+          <div class="row">
+            <div class="muted small" id="schemaStatus"></div>
+            <div style="display:flex; gap:8px;">
+              <button id="btnSchemaCopy" class="small">${escapeHtml(t("schemaCopy"))}</button>
+              <button id="btnSchemaReset" class="small">${escapeHtml(t("schemaReset"))}</button>
+              <button id="btnSchemaImport" class="small primary">${escapeHtml(t("schemaImport"))}</button>
+            </div>
+          </div>
+        </section>
+      </div>
+    </div>
+  `;
+}
+
+function readForm(current) {
+  const val = (id) => document.querySelector(`#${id}`);
+  const notifyRules = {
+    enabled: val("notifyEnabled").checked,
+    resetPending: val("notifyResetPending").checked
+  };
+  for (const input of document.querySelectorAll("[data-notify-rule]")) {
+    const text = input.value.trim();
+    notifyRules[input.dataset.notifyRule] = text === "" ? null : Number(text);
+  }
+
+  // Overrides for subscriptions missing from the latest snapshot are kept as they are.
+  const subscriptionResets = { ...current.subscriptionResets };
+  for (const row of document.querySelectorAll("[data-reset-key]")) {
+    const field = (name) => row.querySelector(`[data-reset-field="${name}"]`).value.trim();
+    subscriptionResets[row.dataset.resetKey] = { timeZone: field("timeZone") || null, time: field("time") || null };
+  }
+
+  const lines = (id) =>
+    val(id)
+      .value.split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+  return {
+    autoRefresh: val("autoRefresh").checked,
+    refreshMinutes: Number(val("refreshMinutes").value),
+    refreshStrategy: val("refreshStrategy").value,
+    scheduleMode: val("scheduleMode").value,
+    closeTempTab: val("closeTempTab").checked,
+    passiveCapture: val("passiveCapture").checked,
+    captureDiagnostics: val("captureDiagnostics").checked,
+    badgeSource: val("badgeSource").value,
+    language: val("language").value,
+    displayTimeZone: val("displayTimeZone").value.trim(),
+    resetSchedule: { timeZone: val("resetTimeZone").value.trim(), time: val("resetTime").value },
+    subscriptionResets,
+    resetCheck: { enabled: val("resetCheckEnabled").checked, graceMinutes: Number(val("resetGraceMinutes").value) },
+    notifyRules,
+    externalApi: {
+      enabled: val("externalApiEnabled").checked,
+      allowedIds: lines("externalApiIds"),
+      // Pasted URLs often end in "/"; an origin never does.
+      allowedOrigins: lines("externalApiOrigins").map((o) => o.replace(/\/+$/, ""))
+    }
+  };
+}
+
+function showErrors(errors, root = document) {
+  for (const el of root.querySelectorAll("[data-error-for]")) {
+    const code = errors[el.dataset.errorFor];
+    el.hidden = !code;
+    el.textContent = code ? (ERROR_MESSAGES[code] ? t(ERROR_MESSAGES[code]) : code) : "";
+  }
+}
+
+async function main() {
+  let schemaInfo = null;
+  // Saved webhooks; the editors may hold unsaved changes on top of these.
+  let webhooks = [];
+
+  const setStatus = (id, text) => {
+    const el = document.querySelector(`#${id}`);
+    if (el) el.textContent = text;
+  };
+
+  async function refreshAlarmStatus() {
+    await chrome.runtime.sendMessage({ type: "rcdm_sync_alarm" });
+    setStatus("alarmStatus", t("alarmCurrent", await describeAlarm(await getPrefs())));
+  }
+
+  async function refreshSchemaInfo() {
+    schemaInfo = await chrome.runtime.sendMessage({ type: "rcdm_get_schema" });
+    setStatus(
+      "schemaInfo",
+      t("schemaInfo", [
+        schemaInfo?.schema?.version ?? "—",
+        t(schemaInfo?.imported ? "schemaSourceImported" : "schemaSourceBuiltin")
+      ])
+    );
+    syncStrategyOptions();
+  }
+
+  // The custom API strategy needs an imported schema with an `api` section; the built-in schema has none.
+  function syncStrategyOptions() {
+    const hasApi = Boolean(schemaInfo?.schema?.api);
+    const select = document.querySelector("#refreshStrategy");
+    const apiOption = select?.querySelector('option[value="api"]');
+    if (apiOption) apiOption.disabled = !hasApi;
+    // The service worker already uses the tab in this case; saving records that.
+    if (select && !hasApi && select.value === "api") select.value = "tab";
+    setStatus("strategyApiHint", t(hasApi ? "strategyApiHint" : "strategyApiUnavailable"));
+  }
+
+  async function load() {
+    const prefs = await getPrefs();
+    await setLanguage(prefs.language);
+    setDisplayTimeZone(prefs.displayTimeZone);
+    document.documentElement.lang = intlLocale();
+    document.title = t("optionsTitle");
+    render({ prefs, subs: await getSubscriptions(), alarmText: await describeAlarm(prefs) });
+    bind();
+    webhooks = await getWebhooks();
+    renderWebhookList(webhooks);
+    await refreshWebhookLog();
+    await refreshSchemaInfo();
+  }
+
+  function renderWebhookList(list) {
+    const el = document.querySelector("#webhookList");
+    if (el) el.innerHTML = list.map(webhookEditorHtml).join("");
+    const btnAdd = document.querySelector("#btnWebhookAdd");
+    if (btnAdd) btnAdd.disabled = list.length >= WEBHOOKS_MAX;
+  }
+
+  async function refreshWebhookLog() {
+    const stored = await chrome.storage.local.get({ [WEBHOOK_LOG_KEY]: [] });
+    const el = document.querySelector("#webhookLog");
+    if (el) el.innerHTML = webhookLogHtml(Array.isArray(stored[WEBHOOK_LOG_KEY]) ? stored[WEBHOOK_LOG_KEY] : []);
+  }
+
+  async function testWebhook(hookEl) {
+    const status = hookEl.querySelector("[data-webhook-status]");
+    const hookId = hookEl.dataset.webhookId;
+    if (!webhooks.some((h) => h.id === hookId)) {
+      status.textContent = t("webhookTestUnsaved");
+      return;
+    }
+    status.textContent = t("webhookTesting");
+    const res = await chrome.runtime.sendMessage({ type: "rcdm_test_webhook", hookId });
+    const entry = res?.entry;
+    if (entry?.ok) status.textContent = t("webhookTestOk", entry.status);
+    else status.textContent = t("webhookTestFailed", [entry?.status ? `HTTP ${entry.status}` : "", entry?.code || "error"].join(" ").trim());
+  }
+
+  function bind() {
+    document.querySelector("#btnSave")?.addEventListener("click", () => {
+      void (async () => {
+        const current = await getPrefs();
+        const input = readForm(current);
+        const checked = validatePrefs({
+          ...current,
+          ...input,
+          // Turning auto refresh on here counts as the explicit opt-in (see getPrefs).
+          autoRefreshExplicit: current.autoRefreshExplicit || input.autoRefresh !== current.autoRefresh
+        });
+        showErrors(checked.errors);
+        if (!checked.ok) {
+          setStatus("saveStatus", t("saveInvalid"));
+          return;
+        }
+        await chrome.storage.sync.set({ [PREFS_KEY]: checked.prefs });
+        if (checked.prefs.language !== current.language || checked.prefs.displayTimeZone !== current.displayTimeZone) await load();
+        await refreshAlarmStatus();
+        setStatus("saveStatus", t("saved"));
+      })();
+    });
+
+    document.querySelector("#btnReset")?.addEventListener("click", () => {
+      void (async () => {
+        if (!confirm(t("confirmReset"))) return;
+        await resetPrefs();
+        await load();
+        await refreshAlarmStatus();
+        setStatus("saveStatus", t("resetDone"));
+      })();
+    });
+
+    document.querySelector("#btnWebhookAdd")?.addEventListener("click", () => {
+      renderWebhookList([...readWebhookForm(), newWebhook()]);
+    });
+
+    document.querySelector("#webhookList")?.addEventListener("click", (event) => {
+      const hookEl = event.target.closest("[data-webhook-id]");
+      if (!hookEl) return;
+      if (event.target.closest("[data-webhook-remove]")) {
+        renderWebhookList(readWebhookForm().filter((h) => h.id !== hookEl.dataset.webhookId));
+      } else if (event.target.closest("[data-webhook-test]")) {
+        void testWebhook(hookEl);
+      }
+    });
+
+    document.querySelector("#btnWebhooksSave")?.addEventListener("click", () => {
+      const checked = validateWebhooks(readWebhookForm());
+      showErrors(checked.errors, document.querySelector("#webhookSection"));
+      if (!checked.ok) {
+        setStatus("webhookStatus", t("saveInvalid"));
+        return;
+      }
+      const origins = Array.from(new Set(checked.webhooks.filter((h) => h.enabled).map((h) => webhookOriginPattern(h.url))));
+      void (async () => {
+        // Requested before anything else is awaited: the prompt needs this click's user gesture.
+        const granted = origins.length ? await chrome.permissions.request({ origins }) : true;
+        await setWebhooks(checked.webhooks);
+        webhooks = checked.webhooks;
+        setStatus("webhookStatus", t(granted ? "webhooksSaved" : "webhooksSavedNoPermission"));
+      })();
+    });
+
+    document.querySelector("#btnWebhookLogClear")?.addEventListener("click", () => {
+      void chrome.storage.local.set({ [WEBHOOK_LOG_KEY]: [] });
+    });
+
+    document.querySelector("#btnSchemaImport")?.addEventListener("click", () => {
+      void (async () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(document.querySelector("#schemaInput").value);
+        } catch {
+          setStatus("schemaStatus", t("schemaJsonError"));
+          return;
+        }
+        const res = await chrome.runtime.sendMessage({ type: "rcdm_import_schema", schema: parsed });
+        if (!res?.ok) {
+          setStatus("schemaStatus", t("schemaImportFailed", `${res?.error?.code || "error"} ${res?.error?.detail || ""}`.trim()));
+          return;
+        }
+        await refreshSchemaInfo();
+        setStatus("schemaStatus", t("schemaImported"));
+      })();
+    });
+
+    document.querySelector("#btnSchemaReset")?.addEventListener("click", () => {
+      void (async () => {
+        await chrome.runtime.sendMessage({ type: "rcdm_reset_schema" });
+        await refreshSchemaInfo();
+        setStatus("schemaStatus", t("schemaResetDone"));
+      })();
+    });
+
+    document.querySelector("#btnSchemaCopy")?.addEventListener("click", () => {
+      void (async () => {
+        await navigator.clipboard.writeText(JSON.stringify(schemaInfo?.schema ?? null, null, 2));
+        setStatus("schemaStatus", t("schemaCopied"));
+      })();
+    });
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[WEBHOOK_LOG_KEY]) void refreshWebhookLog();
+  });
+
+  await load();
+}
+
+void main();